@@ -2,127 +2,1135 @@
  * script.js — HealthSync+ (single-file SPA companion)
  *
  * Full app logic for:
- *  - AI-style wellness insights (rules-based)
+ *  - Hash router with deep links (#/dashboard, #/tools/bmi, #/challenges/hydration)
+ *  - AI-style wellness insights (configurable, trend-aware rule engine)
+ *  - Per-day health records (steps, sleep, water, checklist) with midnight rollover
+ *  - Versioned storage with migrations over localStorage / IndexedDB / memory backends
  *  - Daily checklist with localStorage persistence
- *  - Mood logging
+ *  - Mood journal (intensity, tags, energy/anxiety, search, edit/undo, month heatmap)
  *  - Charts (Chart.js expected in HTML)
- *  - Heartbeat simulation + breathing exercise
- *  - Water reminders (2 hours by default)
- *  - Hydration & sleep challenges
+ *  - Heart rate & vitals: manual/imported readings, resting HR trend, age-based range warnings
+ *  - Guided breathing patterns (box, 4-7-8, coherent, custom) with session history
+ *  - Schedule-aware water reminders (quiet hours, snooze, persisted across reloads)
+ *  - Challenges (hydration, sleep, steps, meditation) with streaks and history
+ *  - User profile with personal water/steps/sleep goals
+ *  - Metric / US imperial units for height, weight and water
  *  - BMI & calorie calculator
- *  - Virtual symptom checker
+ *  - Body metrics: weight/height/waist history, moving-average trend, BMI history, target projection
+ *  - Nutrition: food database, custom foods/recipes, meal log vs. calorie target
+ *  - Sleep tracking: bed/wake times, awakenings, quality, consistency, sleep debt, weekly report
+ *  - Activity log: workouts with MET calorie burn, step estimates, weekly active minutes
+ *  - Symptom checker: multi-symptom triage, red flags, private history export
+ *  - Articles library: local JSON content, search, bookmarks, read tracking, insight-based picks
  *  - Motivational quotes
  *  - Newsletter subscribe (simulated)
  *  - Recent activity log
- *  - Lightweight PWA registration + offline support hook
+ *  - Data export (JSON + CSV) and import
+ *  - Optional sync with a self-hosted REST server (sync-server.js): queued changes, newest wins, mood conflict review
+ *  - Tracker import: Apple Health XML, Google Fit / Fitbit CSV and GPX, with a preview before saving
+ *  - Printable / downloadable health report for a week, month or custom range
+ *  - Installable PWA: service worker registration and update prompt
  *
  * Matches element IDs/classes used in the supplied index.html.
  * Drop this file next to index.html and styles.css and include with:
  *   <script src="script.js"></script>
- *
- * NOTE: For demo convenience some timers use short intervals (e.g., 2 minutes).
- * Change WATER_REMINDER_INTERVAL to 2*60*60*1000 (2 hours) for production.
  */
 
 /* ============================================================
    Config & Utilities
    ============================================================ */
 const CONFIG = {
-  WATER_REMINDER_INTERVAL: 2 * 60 * 60 * 1000, // 2 hours (ms)
-  // For demo/testing, you might want a shorter interval like 2*60*1000 (2 minutes).
-  DEMO_MODE_SHORT_REMINDER: true
+  WATER_REMINDER_INTERVAL: 2 * 60 * 60 * 1000, // default reminder interval, 2 hours (ms)
+  WATER_REMINDER_SOUND: 'water-chime.wav',
+  // 'localStorage' | 'indexedDB' | 'memory' (memory keeps nothing across reloads — tests/private mode)
+  STORAGE_BACKEND: 'localStorage'
 };
 
-if (CONFIG.DEMO_MODE_SHORT_REMINDER) {
-  CONFIG.WATER_REMINDER_INTERVAL = 2 * 60 * 1000; // 2 minutes for demo
+function tidyNumber(v, decimals = 1) {
+  return Math.round(v * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+/* local-time ISO date (YYYY-MM-DD) used as the key for daily records */
+function dateKey(d = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function addDays(d, n) {
+  const copy = new Date(d);
+  copy.setDate(copy.getDate() + n);
+  return copy;
+}
+
+/* hours from clock time `from` to `to` ('HH:MM'), wrapping past midnight */
+function hoursBetween(from, to) {
+  const mins = t => { const [h, m] = t.split(':').map(Number); return h * 60 + m; };
+  let diff = mins(to) - mins(from);
+  if (diff <= 0) diff += 24 * 60;
+  return tidyNumber(diff / 60, 1);
+}
+
+/* short unique id for stored entries, e.g. "m-lx3k9a-4f2c" */
+function uid(prefix = 'id') {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/* value for <input type="datetime-local"> in local time */
+function localDateTimeValue(d = new Date()) {
+  return dateKey(d) + 'T' + d.toTimeString().slice(0, 5);
+}
+
+/* ============================================================
+   Storage — versioned key/value store over a pluggable backend
+   ============================================================ */
+/*
+ * A backend adapter implements:
+ *   getItem(key) -> string|null, setItem(key, string), removeItem(key), keys() -> string[]
+ * and optionally init() -> Promise, run once before the app starts.
+ * setItem may throw (or report asynchronously) a quota error; Storage surfaces it to the user.
+ */
+function createLocalStorageAdapter() {
+  return {
+    name: 'localStorage',
+    init() {
+      // private browsing modes may expose localStorage but refuse writes
+      localStorage.setItem('__probe', '1');
+      localStorage.removeItem('__probe');
+      return Promise.resolve();
+    },
+    getItem: key => localStorage.getItem(key),
+    setItem: (key, value) => localStorage.setItem(key, value),
+    removeItem: key => localStorage.removeItem(key),
+    keys() {
+      const out = [];
+      for (let i = 0; i < localStorage.length; i++) out.push(localStorage.key(i));
+      return out;
+    }
+  };
+}
+
+function createMemoryAdapter(seed = {}) {
+  const map = new Map(Object.entries(seed));
+  return {
+    name: 'memory',
+    getItem: key => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => { map.set(key, String(value)); },
+    removeItem: key => { map.delete(key); },
+    keys: () => Array.from(map.keys())
+  };
+}
+
+/* IndexedDB is async, so values are served from a cache loaded in init() and written through */
+function createIndexedDBAdapter(dbName = 'healthsync') {
+  const cache = new Map();
+  let db = null;
+  function write(fn, key) {
+    const tx = db.transaction('kv', 'readwrite');
+    fn(tx.objectStore('kv'));
+    tx.onabort = () => Storage.reportError(tx.error, key);
+  }
+  return {
+    name: 'indexedDB',
+    init() {
+      return new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('kv');
+        req.onsuccess = () => { db = req.result; resolve(); };
+        req.onerror = () => reject(req.error);
+      }).then(() => new Promise((resolve, reject) => {
+        const req = db.transaction('kv', 'readonly').objectStore('kv').openCursor();
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return resolve();
+          cache.set(cursor.key, cursor.value);
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      })).then(() => {
+        // first run on this backend: carry over whatever localStorage already holds
+        if (cache.size || typeof localStorage === 'undefined') return;
+        const local = createLocalStorageAdapter();
+        local.keys().forEach(key => this.setItem(key, local.getItem(key)));
+      });
+    },
+    getItem: key => (cache.has(key) ? cache.get(key) : null),
+    setItem(key, value) {
+      cache.set(key, value);
+      write(store => store.put(value, key), key);
+    },
+    removeItem(key) {
+      cache.delete(key);
+      write(store => store.delete(key), key);
+    },
+    keys: () => Array.from(cache.keys())
+  };
+}
+
+function createStorageAdapter(name) {
+  if (name === 'indexedDB' && typeof indexedDB !== 'undefined') return createIndexedDBAdapter();
+  if (name === 'memory') return createMemoryAdapter();
+  return createLocalStorageAdapter();
+}
+
+function isQuotaError(e) {
+  return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22 || e.code === 1014);
 }
 
 const Storage = {
+  SCHEMA_VERSION: 7,
+  VERSION_KEY: 'schemaVersion',
+  adapter: createMemoryAdapter(),
+  reported: {},
+  // fn(key, beforeRaw, value) after every write; value is null for removals
+  listeners: [],
+
+  use(adapter) {
+    return Promise.resolve(adapter.init ? adapter.init() : null).then(() => { this.adapter = adapter; });
+  },
+  // a Storage view over another backend (used to migrate imported backups in memory)
+  withAdapter(adapter) {
+    return Object.assign(Object.create(Storage), { adapter, reported: {}, listeners: [] });
+  },
+  listen(fn) {
+    this.listeners.push(fn);
+  },
   get(key, fallback = null) {
+    const v = this.adapter.getItem(key);
+    if (!v) return fallback;
     try {
-      const v = localStorage.getItem(key);
-      return v ? JSON.parse(v) : fallback;
+      return JSON.parse(v);
     } catch (e) {
+      this.reportError(e, key);
       return fallback;
     }
   },
+  // returns false when the value could not be saved
   set(key, value) {
+    const before = this.listeners.length ? this.adapter.getItem(key) : null;
     try {
-      localStorage.setItem(key, JSON.stringify(value));
+      this.adapter.setItem(key, JSON.stringify(value));
     } catch (e) {
-      console.warn('Storage set failed', e);
+      this.reportError(e, key);
+      return false;
     }
+    this.listeners.forEach(fn => fn(key, before, value));
+    return true;
   },
   remove(key) {
-    localStorage.removeItem(key);
+    const before = this.listeners.length ? this.adapter.getItem(key) : null;
+    this.adapter.removeItem(key);
+    this.listeners.forEach(fn => fn(key, before, null));
+  },
+  keys() {
+    return this.adapter.keys();
+  },
+  reportError(e, key) {
+    console.warn('Storage error for', key, e);
+    if (isQuotaError(e)) {
+      showToast('Storage is full — your latest change was not saved. Export a backup and clear old data in Tools.', { type: 'error' });
+    } else if (e instanceof SyntaxError && !this.reported[key]) {
+      this.reported[key] = true;
+      showToast(`Saved data "${key}" is unreadable and was skipped.`, { type: 'error' });
+    } else if (!(e instanceof SyntaxError)) {
+      showToast('Could not save your data: ' + (e && e.message ? e.message : 'unknown error'), { type: 'error' });
+    }
   }
 };
 
-function nowStr() {
-  return new Date().toLocaleString();
+/*
+ * Ordered schema migrations. Each `up(store)` upgrades data written by the
+ * previous version and must be safe to re-run. Version 0 is the unversioned
+ * layout from before migrations existed.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move flat daily keys into per-day records',
+    up(store) {
+      const legacy = { stepsToday: 'steps', lastSleep: 'sleep', waterCount: 'water' };
+      const today = dateKey();
+      const days = store.get('dailyRecords', {});
+      const rec = Object.assign(DailyRecords.blank(), days[today]);
+      let changed = false;
+      Object.keys(legacy).forEach(key => {
+        const v = store.get(key, null);
+        if (v !== null) { rec[legacy[key]] = v; changed = true; }
+        store.remove(key);
+      });
+      store.keys().filter(k => k.startsWith('check_')).forEach(k => {
+        rec.checks = Object.assign({}, rec.checks, { [k.slice('check_'.length)]: store.get(k, false) });
+        store.remove(k);
+        changed = true;
+      });
+      if (changed) days[today] = rec;
+
+      // stepsWeek was a Mon..Sun array; fill this week's days up to today
+      const week = store.get('stepsWeek', null);
+      if (Array.isArray(week)) {
+        const now = new Date();
+        const mondayOffset = (now.getDay() + 6) % 7;
+        week.forEach((steps, i) => {
+          if (i > mondayOffset || !steps) return;
+          const key = dateKey(addDays(now, i - mondayOffset));
+          if (key !== today && !(days[key] && days[key].steps)) days[key] = Object.assign(DailyRecords.blank(), days[key], { steps });
+          changed = true;
+        });
+        store.remove('stepsWeek');
+      }
+      if (changed) store.set('dailyRecords', days);
+    }
+  },
+  {
+    version: 2,
+    description: 'Give mood entries an ISO timestamp',
+    up(store) {
+      const logs = store.get('moodLogs', null);
+      if (!Array.isArray(logs)) return;
+      store.set('moodLogs', logs.map(m => {
+        if (m.at) return m;
+        const d = new Date(m.when);
+        return isNaN(d) ? m : Object.assign({}, m, { at: d.toISOString() });
+      }));
+    }
+  },
+  {
+    version: 3,
+    description: 'Move demoAge into the profile',
+    up(store) {
+      const age = store.get('demoAge', null);
+      if (age === null) return;
+      const profile = store.get('profile', {});
+      if (!profile.age) store.set('profile', Object.assign(profile, { age }));
+      store.remove('demoAge');
+    }
+  },
+  {
+    version: 4,
+    description: 'Store water as millilitres instead of glasses',
+    up(store) {
+      const GLASS_ML = 250;
+      // nobody drinks 50+ glasses a day: larger values are already millilitres (a re-run)
+      const inGlasses = v => v > 0 && v <= 50;
+      const days = store.get('dailyRecords', null);
+      if (days) {
+        Object.keys(days).forEach(date => {
+          if (inGlasses(days[date].water)) days[date].water = days[date].water * GLASS_ML;
+        });
+        store.set('dailyRecords', days);
+      }
+      const profile = store.get('profile', null);
+      if (profile && profile.goals && inGlasses(profile.goals.water)) {
+        profile.goals.water *= GLASS_ML;
+        store.set('profile', profile);
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Drop the click-counter hydration challenge',
+    up(store) {
+      // challengeHydration counted button clicks, not days; there is nothing to carry over
+      store.remove('challengeHydration');
+    }
+  },
+  {
+    version: 6,
+    description: 'Turn mood logs into journal entries',
+    up(store) {
+      const logs = store.get('moodLogs', null);
+      if (!Array.isArray(logs)) return;
+      store.set('moodLogs', logs.map((m, i) => {
+        const entry = {
+          id: m.id || `m-legacy-${i}`,
+          mood: m.mood,
+          intensity: m.intensity || 3,
+          tags: Array.isArray(m.tags) ? m.tags : [],
+          energy: m.energy || null,
+          anxiety: m.anxiety || null,
+          note: m.note || '',
+          at: m.at || null
+        };
+        // keep the locale text when it could not be parsed into `at`
+        if (!entry.at && m.when) entry.when = m.when;
+        return entry;
+      }));
+    }
+  },
+  {
+    version: 7,
+    description: 'Turn the recent-activity log into typed events',
+    up(store) {
+      const logs = store.get('recentLogs', null);
+      if (!Array.isArray(logs)) return;
+      store.set('recentLogs', logs.map((r, i) => {
+        if (r.type) return r;
+        const at = new Date(r.t);
+        const event = { id: `a-legacy-${i}`, type: 'legacy', entityId: null, payload: null, text: r.text, at: isNaN(at) ? null : at.toISOString() };
+        // keep the locale text when it could not be parsed into `at`
+        if (!event.at && r.t) event.t = r.t;
+        return event;
+      }));
+    }
+  }
+];
+
+/* upgrade `store` from `from` to the current schema; returns the version reached */
+function runMigrations(store, from) {
+  let version = from;
+  MIGRATIONS.filter(m => m.version > from).sort((a, b) => a.version - b.version).forEach(m => {
+    if (version !== m.version - 1) return;
+    try {
+      m.up(store);
+      version = m.version;
+      store.set(store.VERSION_KEY, version);
+    } catch (e) {
+      console.warn(`Migration ${m.version} (${m.description}) failed`, e);
+    }
+  });
+  return version;
 }
 
-function tidyNumber(v, decimals = 1) {
-  return Math.round(v * Math.pow(10, decimals)) / Math.pow(10, decimals);
+function migrateStorage() {
+  const stored = Storage.get(Storage.VERSION_KEY, null);
+  if (stored === null && Storage.keys().length === 0) {
+    // fresh install: nothing to upgrade
+    Storage.set(Storage.VERSION_KEY, Storage.SCHEMA_VERSION);
+    return;
+  }
+  const reached = runMigrations(Storage, stored || 0);
+  if (reached < Storage.SCHEMA_VERSION) {
+    showToast('Some saved data could not be upgraded and may display incorrectly.', { type: 'error' });
+  }
 }
 
 /* ============================================================
-   SPA Navigation
+   Toasts — non-blocking in-app messages
    ============================================================ */
-function initNavigation() {
-  const sections = document.querySelectorAll('main section');
-  function showSection(id) {
-    sections.forEach(s => s.style.display = 'none');
-    const el = document.getElementById(id);
-    if (el) el.style.display = 'block';
-    const lastSync = document.getElementById('lastSync');
-    if (lastSync) lastSync.textContent = 'Last sync: ' + new Date().toLocaleString();
+/* actions: [{ label, onClick }] — each button runs its handler and closes the toast */
+function showToast(message, { type = 'info', timeout = 6000, actions = [] } = {}) {
+  let host = document.getElementById('toasts');
+  if (!host) {
+    host = document.createElement('div');
+    host.id = 'toasts';
+    host.className = 'toasts';
+    document.body.appendChild(host);
   }
+  // don't stack identical messages
+  const existing = Array.from(host.children).find(t => t.dataset.msg === message);
+  if (existing) return existing;
+  const el = document.createElement('div');
+  el.className = 'toast toast-' + type;
+  el.dataset.msg = message;
+  el.setAttribute('role', type === 'error' ? 'alert' : 'status');
+  el.textContent = message;
+  actions.forEach(a => {
+    const btn = document.createElement('button');
+    btn.className = 'toast-action';
+    btn.textContent = a.label;
+    btn.addEventListener('click', () => {
+      el.remove();
+      a.onClick();
+    });
+    el.appendChild(btn);
+  });
+  const close = document.createElement('button');
+  close.className = 'toast-close';
+  close.setAttribute('aria-label', 'Dismiss');
+  close.textContent = '×';
+  close.addEventListener('click', () => el.remove());
+  el.appendChild(close);
+  host.appendChild(el);
+  if (timeout) setTimeout(() => el.remove(), timeout);
+  return el;
+}
+
+/* ============================================================
+   Daily records — one record per day, keyed by ISO date
+   ============================================================ */
+/*
+ * steps: count (entered or imported), sleep: hours (night before) or null,
+ * sleepLog: { bed, wake ('HH:MM'), awakenings, quality 1–5 } or null, water: ml,
+ * weight: kg, height / waist: cm (body measurements, each null when not taken that day),
+ * checks: { key: bool }, meals: [food log entries], workouts: [activity log entries]
+ */
+const DailyRecords = {
+  KEY: 'dailyRecords',
 
-  // wire sidebar nav items
-  document.querySelectorAll('nav li').forEach(li => {
-    li.addEventListener('click', () => {
-      const text = li.textContent.trim().toLowerCase();
-      // map some names to IDs used in markup
-      if (text.includes('home')) showSection('home');
-      else if (text.includes('dashboard')) showSection('dashboard');
-      else if (text.includes('mental')) showSection('mental');
-      else if (text.includes('articles')) showSection('articles');
-      else if (text.includes('challenges')) showSection('challenges');
-      else if (text.includes('tools')) showSection('tools');
+  blank() {
+    return { steps: 0, sleep: null, sleepLog: null, water: 0, weight: null, height: null, waist: null, checks: {}, meals: [], workouts: [] };
+  },
+  all() {
+    return Storage.get(this.KEY, {});
+  },
+  get(date = dateKey()) {
+    return this.complete(this.all()[date]);
+  },
+  // a full record from a stored one, with its own copies of the nested fields
+  complete(stored) {
+    const rec = stored || {};
+    return Object.assign(this.blank(), rec, {
+      checks: Object.assign({}, rec.checks),
+      meals: (rec.meals || []).slice(),
+      workouts: (rec.workouts || []).slice()
+    });
+  },
+  today() {
+    return this.get(dateKey());
+  },
+  // patch may be an object or a function (record) => patch
+  update(date, patch) {
+    const all = this.all();
+    const rec = this.complete(all[date]);
+    const changes = typeof patch === 'function' ? patch(rec) : patch;
+    all[date] = Object.assign(rec, changes);
+    Storage.set(this.KEY, all);
+    return all[date];
+  },
+  updateToday(patch) {
+    return this.update(dateKey(), patch);
+  },
+  // { date: patch } written in one go (imports touch many days)
+  updateMany(patches) {
+    const all = this.all();
+    // build from `all` rather than get(): imports patch years of days at once
+    Object.keys(patches).forEach(date => {
+      const rec = this.complete(all[date]);
+      const patch = patches[date];
+      all[date] = Object.assign(rec, typeof patch === 'function' ? patch(rec) : patch);
     });
+    Storage.set(this.KEY, all);
+  },
+  // last `days` records ending at `end` (oldest first)
+  range(days, end = new Date()) {
+    const out = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const d = addDays(end, -i);
+      out.push({ date: dateKey(d), day: d, record: this.get(dateKey(d)) });
+    }
+    return out;
+  }
+};
+
+/* ============================================================
+   Profile & personal goals
+   ============================================================ */
+const Profile = {
+  KEY: 'profile',
+  DEFAULTS: {
+    age: null,
+    sex: '', // 'male' | 'female' | '' (unspecified)
+    heightCm: null,
+    weightKg: null,
+    units: 'metric', // 'metric' | 'imperial'
+    waterDisplay: 'glasses', // 'glasses' | 'volume' (ml or fl oz by unit system)
+    glassMl: 250,
+    activity: 1.2, // Mifflin-St Jeor activity factor
+    wakeTime: '07:00',
+    sleepTime: '23:00',
+    goals: { water: 2000, steps: 7000, sleep: 8 }, // water in ml
+    targetWeightKg: null
+  },
+
+  get() {
+    const p = Storage.get(this.KEY, {});
+    return Object.assign({}, this.DEFAULTS, p, { goals: Object.assign({}, this.DEFAULTS.goals, p.goals) });
+  },
+  save(patch) {
+    const next = Object.assign(this.get(), patch);
+    if (patch.goals) next.goals = Object.assign(this.get().goals, patch.goals);
+    Storage.set(this.KEY, next);
+    return next;
+  },
+  goals() {
+    return this.get().goals;
+  },
+  // hours between bedtime and wake time on the profile schedule
+  scheduledSleepHours(p = this.get()) {
+    return hoursBetween(p.sleepTime, p.wakeTime);
+  },
+  // goal suggestions derived from the profile (used by "Suggest")
+  suggestedGoals(p = this.get()) {
+    const out = {};
+    // ~35 ml per kg body weight, rounded to whole glasses
+    if (p.weightKg) out.water = Math.max(6, Math.round((p.weightKg * 35) / p.glassMl)) * p.glassMl;
+    if (p.age) out.sleep = p.age < 18 ? 9 : p.age >= 65 ? 7.5 : 8;
+    out.steps = p.activity >= 1.55 ? 10000 : p.activity >= 1.375 ? 8000 : 7000;
+    return out;
+  }
+};
+
+/* ============================================================
+   Units — values are stored metric (cm, kg, ml) and converted for display
+   ============================================================ */
+const Units = {
+  CM_PER_IN: 2.54,
+  KG_PER_LB: 0.45359237,
+  ML_PER_OZ: 29.5735,
+
+  imperial(p = Profile.get()) {
+    return p.units === 'imperial';
+  },
+  cmToFtIn(cm) {
+    const totalIn = cm / this.CM_PER_IN;
+    let ft = Math.floor(totalIn / 12);
+    let inch = Math.round(totalIn - ft * 12);
+    if (inch === 12) { ft += 1; inch = 0; }
+    return { ft, in: inch };
+  },
+  ftInToCm(ft, inch) {
+    return tidyNumber(((ft || 0) * 12 + (inch || 0)) * this.CM_PER_IN, 1);
+  },
+  kgToLb(kg) {
+    return tidyNumber(kg / this.KG_PER_LB, 1);
+  },
+  lbToKg(lb) {
+    return tidyNumber(lb * this.KG_PER_LB, 2);
+  },
+  mlToOz(ml) {
+    return tidyNumber(ml / this.ML_PER_OZ, 1);
+  },
+  ozToMl(oz) {
+    return Math.round(oz * this.ML_PER_OZ);
+  },
+  formatHeight(cm, p = Profile.get()) {
+    if (!cm) return '—';
+    if (!this.imperial(p)) return `${tidyNumber(cm, 1)} cm`;
+    const { ft, in: inch } = this.cmToFtIn(cm);
+    return `${ft}′${inch}″`;
+  },
+  formatWeight(kg, p = Profile.get()) {
+    if (!kg) return '—';
+    return this.imperial(p) ? `${this.kgToLb(kg)} lb` : `${tidyNumber(kg, 1)} kg`;
+  },
+  weightLabel(p = Profile.get()) {
+    return this.imperial(p) ? 'lb' : 'kg';
+  },
+  // body measurements such as waist: cm or inches
+  formatLength(cm, p = Profile.get()) {
+    if (!cm) return '—';
+    return this.imperial(p) ? `${tidyNumber(cm / this.CM_PER_IN, 1)} in` : `${tidyNumber(cm, 1)} cm`;
+  },
+  lengthLabel(p = Profile.get()) {
+    return this.imperial(p) ? 'in' : 'cm';
+  },
+  // water is shown in glasses of the profile's size, or ml / fl oz
+  waterLabel(p = Profile.get()) {
+    if (p.waterDisplay === 'glasses') return 'glasses';
+    return this.imperial(p) ? 'fl oz' : 'ml';
+  },
+  waterValue(ml, p = Profile.get()) {
+    if (p.waterDisplay === 'glasses') return tidyNumber(ml / p.glassMl, 1);
+    return this.imperial(p) ? this.mlToOz(ml) : Math.round(ml);
+  },
+  waterFromValue(v, p = Profile.get()) {
+    if (p.waterDisplay === 'glasses') return Math.round(v * p.glassMl);
+    return this.imperial(p) ? this.ozToMl(v) : Math.round(v);
+  },
+  formatWater(ml, p = Profile.get()) {
+    return `${this.waterValue(ml, p).toLocaleString()} ${this.waterLabel(p)}`;
+  },
+  formatGlass(p = Profile.get()) {
+    return this.imperial(p) ? `${this.mlToOz(p.glassMl)} fl oz` : `${p.glassMl} ml`;
+  }
+};
+
+/* Mifflin-St Jeor BMR; unspecified sex uses the midpoint of the two offsets */
+function estimateCalories({ weightKg, heightCm, age, sex, activity = 1.2 }) {
+  const offset = sex === 'male' ? 5 : sex === 'female' ? -161 : -78;
+  const bmr = Math.round(10 * weightKg + 6.25 * heightCm - 5 * age + offset);
+  return { bmr, calories: Math.round(bmr * activity) };
+}
+
+/* daily calorie target from the profile, or null until weight, height and age are set */
+function calorieTarget(p = Profile.get()) {
+  if (!p.weightKg || !p.heightCm || !p.age) return null;
+  return estimateCalories(p).calories;
+}
+
+/* fill every [data-goal] placeholder in the markup with the current goal */
+function renderGoalLabels() {
+  const goals = Profile.goals();
+  document.querySelectorAll('[data-goal]').forEach(el => {
+    const key = el.dataset.goal;
+    if (key === 'water') el.textContent = Units.formatWater(goals.water);
+    else if (goals[key] !== undefined) el.textContent = goals[key].toLocaleString();
+  });
+  document.querySelectorAll('[data-unit]').forEach(el => {
+    el.textContent = el.dataset.unit === 'weight' ? Units.weightLabel() : Units.waterLabel();
+  });
+}
+
+/* profile form fields are in the form's own unit system; convert on the way in and out */
+function renderProfileForm(p = Profile.get()) {
+  const form = document.getElementById('profileForm');
+  if (!form) return;
+  const set = (name, v) => { if (form.elements[name]) form.elements[name].value = v === null || v === undefined ? '' : v; };
+  const imperial = Units.imperial(p);
+  ['age', 'sex', 'units', 'waterDisplay', 'activity', 'wakeTime', 'sleepTime'].forEach(k => set(k, p[k]));
+  if (imperial && p.heightCm) {
+    const { ft, in: inch } = Units.cmToFtIn(p.heightCm);
+    set('height', ft);
+    set('heightIn', inch);
+  } else {
+    set('height', p.heightCm);
+    set('heightIn', '');
+  }
+  set('weight', p.weightKg && (imperial ? Units.kgToLb(p.weightKg) : p.weightKg));
+  set('glassSize', imperial ? Units.mlToOz(p.glassMl) : p.glassMl);
+  set('goal_water', Units.waterValue(p.goals.water, p));
+  set('goal_steps', p.goals.steps);
+  set('goal_sleep', p.goals.sleep);
+  form.querySelectorAll('[data-imperial-only]').forEach(el => { el.style.display = imperial ? '' : 'none'; });
+  form.querySelectorAll('[data-form-unit]').forEach(el => {
+    const kind = el.dataset.formUnit;
+    if (kind === 'height') el.textContent = imperial ? 'ft' : 'cm';
+    else if (kind === 'weight') el.textContent = Units.weightLabel(p);
+    else if (kind === 'glass') el.textContent = imperial ? 'fl oz' : 'ml';
+    else if (kind === 'water') el.textContent = Units.waterLabel(p);
+  });
+  form.dataset.units = p.units;
+  form.dataset.waterDisplay = p.waterDisplay;
+  // remember what each converted field was rendered from, so unedited fields don't drift through rounding
+  form.rendered = {
+    height: { shown: form.elements.height.value + '|' + form.elements.heightIn.value, value: p.heightCm },
+    weight: { shown: form.elements.weight.value, value: p.weightKg },
+    glassSize: { shown: form.elements.glassSize.value, value: p.glassMl },
+    goal_water: { shown: form.elements.goal_water.value, value: p.goals.water }
+  };
+  const hint = document.getElementById('profileScheduleHint');
+  if (hint) hint.textContent = `Your schedule allows ${Profile.scheduledSleepHours(p)} h in bed.`;
+}
+
+/* read the profile form back into canonical (metric) values */
+function readProfileForm(form) {
+  const num = name => {
+    const v = parseFloat(form.elements[name].value);
+    return Number.isFinite(v) ? v : null;
+  };
+  const current = Profile.get();
+  // fields are still expressed in the units the form was last rendered with
+  const shown = Object.assign({}, current, { units: form.dataset.units || current.units, waterDisplay: form.dataset.waterDisplay || current.waterDisplay });
+  const imperial = Units.imperial(shown);
+  const rendered = form.rendered || {};
+  const unchanged = (name, shownValue) => rendered[name] && rendered[name].shown === shownValue;
+  const height = num('height');
+  const weight = num('weight');
+  const glass = num('glassSize');
+  const water = num('goal_water');
+  const glassMl = unchanged('glassSize', form.elements.glassSize.value) ? rendered.glassSize.value
+    : glass ? (imperial ? Units.ozToMl(glass) : Math.round(glass)) : current.glassMl;
+  let heightCm = height === null ? null : imperial ? Units.ftInToCm(height, num('heightIn')) : height;
+  if (unchanged('height', form.elements.height.value + '|' + form.elements.heightIn.value)) heightCm = rendered.height.value;
+  let weightKg = weight === null ? null : imperial ? Units.lbToKg(weight) : weight;
+  if (unchanged('weight', form.elements.weight.value)) weightKg = rendered.weight.value;
+  let waterMl = water === null ? null : Units.waterFromValue(water, Object.assign(shown, { glassMl }));
+  if (unchanged('goal_water', form.elements.goal_water.value) && unchanged('glassSize', form.elements.glassSize.value)) waterMl = rendered.goal_water.value;
+  return {
+    age: num('age'),
+    sex: form.elements.sex.value,
+    heightCm,
+    weightKg,
+    units: form.elements.units.value,
+    waterDisplay: form.elements.waterDisplay.value,
+    glassMl,
+    activity: num('activity') || 1.2,
+    wakeTime: form.elements.wakeTime.value || Profile.DEFAULTS.wakeTime,
+    sleepTime: form.elements.sleepTime.value || Profile.DEFAULTS.sleepTime,
+    goals: {
+      water: waterMl,
+      steps: num('goal_steps'),
+      sleep: num('goal_sleep')
+    }
+  };
+}
+
+function initProfile() {
+  const form = document.getElementById('profileForm');
+  renderGoalLabels();
+  if (!form) return;
+  renderProfileForm();
+  const msg = document.getElementById('profileMsg');
+
+  // switching units re-expresses what's typed so far in the new units
+  ['units', 'waterDisplay'].forEach(name => form.elements[name].addEventListener('change', () => {
+    const values = readProfileForm(form);
+    renderProfileForm(Object.assign(Profile.get(), values, { goals: Object.assign(Profile.goals(), values.goals) }));
+  }));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const values = readProfileForm(form);
+    const { age, goals } = values;
+    if (age !== null && (age < 10 || age > 110)) {
+      if (msg) { msg.textContent = 'Age should be between 10 and 110.'; msg.style.color = '#d97706'; }
+      return;
+    }
+    if (!goals.water || !goals.steps || !goals.sleep) {
+      if (msg) { msg.textContent = 'Set a water, steps and sleep goal.'; msg.style.color = '#d97706'; }
+      return;
+    }
+    Profile.save(values);
+    if (msg) { msg.textContent = 'Profile saved.'; msg.style.color = '#059669'; }
+    renderProfileForm();
+    onProfileChanged();
+    logActivity('Profile updated', { type: 'profile.update' });
+  });
+
+  const suggestBtn = document.getElementById('suggestGoals');
+  if (suggestBtn) suggestBtn.addEventListener('click', () => {
+    const values = readProfileForm(form);
+    const p = Object.assign(Profile.get(), values, { units: form.dataset.units, waterDisplay: form.dataset.waterDisplay });
+    const s = Profile.suggestedGoals(p);
+    if (s.water) form.elements.goal_water.value = Units.waterValue(s.water, p);
+    if (s.sleep) form.elements.goal_sleep.value = s.sleep;
+    form.elements.goal_steps.value = s.steps;
+    if (msg) { msg.textContent = 'Suggested goals filled in — save to apply.'; msg.style.color = '#6b7280'; }
+  });
+}
+
+/* everything that displays a goal or a profile-derived number */
+function onProfileChanged() {
+  renderGoalLabels();
+  renderInsights();
+  renderChallenges();
+  prefillCalculator();
+  renderNutrition();
+  renderWorkoutEstimate();
+  renderSleepReport();
+  renderBodyMetrics();
+  renderVitals();
+}
+
+/* ============================================================
+   Day rollover — refresh "today" views when the date changes
+   ============================================================ */
+let currentDay = dateKey();
+
+function checkDayRollover() {
+  const key = dateKey();
+  if (key === currentDay) return;
+  currentDay = key;
+  renderChecklist();
+  renderInsights();
+  renderChallenges();
+  renderNutrition();
+  renderWorkouts();
+  renderSleepReport();
+  renderVitals();
+  // shift the rolling chart window to include the new day
+  logActivity('New day started', { type: 'app.day' });
+}
+
+function initDayRollover() {
+  function scheduleMidnight() {
+    const now = new Date();
+    const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    setTimeout(() => {
+      checkDayRollover();
+      scheduleMidnight();
+    }, midnight - now + 1000);
+  }
+  scheduleMidnight();
+  // timers are throttled in background tabs/sleeping laptops; re-check when the tab comes back
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') checkDayRollover();
   });
+  window.addEventListener('focus', checkDayRollover);
+}
+
+/* ============================================================
+   Router — hash-based (#/section/sub) with deep links and history
+   ============================================================ */
+/*
+ * Each route shows one <main> section and optionally moves focus to an element
+ * inside it. `:param` segments are passed to `focus` as a function argument,
+ * and to `enter`, which lets a section redraw itself for the route.
+ */
+const ROUTES = [
+  { path: 'home', section: 'home', title: 'Home' },
+  { path: 'dashboard', section: 'dashboard', title: 'Dashboard' },
+  { path: 'dashboard/heart', section: 'dashboard', title: 'Heart & vitals', focus: 'vitalsCard' },
+  { path: 'mental', section: 'mental', title: 'Mental Health' },
+  { path: 'articles', section: 'articles', title: 'Articles', enter: () => showArticle(null) },
+  { path: 'articles/:id', section: 'articles', title: 'Article', focus: 'articleView', enter: p => showArticle(p.id) },
+  { path: 'challenges', section: 'challenges', title: 'Challenges' },
+  { path: 'challenges/:type', section: 'challenges', title: 'Challenges', focus: p => 'challenge-' + p.type },
+  { path: 'activity', section: 'activity', title: 'Activity' },
+  { path: 'nutrition', section: 'nutrition', title: 'Nutrition' },
+  { path: 'tools', section: 'tools', title: 'Tools' },
+  { path: 'tools/bmi', section: 'tools', title: 'BMI & Calories', focus: 'bmiTool' },
+  { path: 'tools/body', section: 'tools', title: 'Body metrics', focus: 'bodyTool' },
+  { path: 'tools/symptoms', section: 'tools', title: 'Symptom checker', focus: 'symptomSel' },
+  { path: 'tools/data', section: 'tools', title: 'Your data', focus: 'dataTool' },
+  { path: 'tools/import', section: 'tools', title: 'Import from a tracker', focus: 'trackerTool' },
+  { path: 'tools/report', section: 'tools', title: 'Health report', focus: 'reportTool' },
+  { path: 'tools/sync', section: 'tools', title: 'Sync', focus: 'syncTool' },
+  { path: 'profile', section: 'profile', title: 'Profile' }
+];
+const DEFAULT_ROUTE = 'home';
+
+const Router = {
+  current: null,
+
+  // "#/challenges/hydration" -> { route, params, path }
+  resolve(hash) {
+    const path = hash.replace(/^#\/?/, '').replace(/\/$/, '') || DEFAULT_ROUTE;
+    const parts = path.split('/');
+    for (const route of ROUTES) {
+      const pattern = route.path.split('/');
+      if (pattern.length !== parts.length) continue;
+      const params = {};
+      const ok = pattern.every((seg, i) => {
+        if (seg.startsWith(':')) { params[seg.slice(1)] = decodeURIComponent(parts[i]); return true; }
+        return seg === parts[i];
+      });
+      if (ok) return { route, params, path };
+    }
+    return null;
+  },
+  // the single entry point for in-app navigation (nav links, FAB, buttons, shortcuts)
+  navigate(path) {
+    const hash = '#/' + path;
+    if (window.location.hash === hash) this.render();
+    else window.location.hash = hash;
+  },
+  render(initial = false) {
+    const match = this.resolve(window.location.hash);
+    if (!match) {
+      // unknown deep link: fall back without adding a history entry
+      history.replaceState(null, '', '#/' + DEFAULT_ROUTE);
+      return this.render(initial);
+    }
+    const { route, params, path } = match;
+    this.current = match;
+    document.querySelectorAll('main section').forEach(s => { s.style.display = s.id === route.section ? 'block' : 'none'; });
+    document.title = `${route.title} — HealthSync+`;
+    if (route.enter) route.enter(params);
+
+    // highlight the nav entry for this section
+    document.querySelectorAll('nav a[data-route]').forEach(a => {
+      const active = a.dataset.route === route.section;
+      a.classList.toggle('active', active);
+      if (active) a.setAttribute('aria-current', 'page');
+      else a.removeAttribute('aria-current');
+    });
+
+    // move focus for keyboard/screen-reader users, but not on first load
+    if (initial && path === DEFAULT_ROUTE) return;
+    const focusId = typeof route.focus === 'function' ? route.focus(params) : route.focus;
+    const target = (focusId && document.getElementById(focusId)) || document.querySelector(`#${route.section} h2`);
+    if (target) {
+      if (!target.matches('input, select, textarea, button, a[href]') && !target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+      target.focus({ preventScroll: true });
+      target.scrollIntoView({ block: focusId ? 'center' : 'start', behavior: initial ? 'auto' : 'smooth' });
+    }
+  }
+};
+
+function initNavigation() {
+  // back/forward and manual hash edits
+  window.addEventListener('hashchange', () => Router.render());
 
   // header / quick controls
   const openDashboardBtn = document.getElementById('openDashboard');
-  if (openDashboardBtn) openDashboardBtn.addEventListener('click', () => showSection('dashboard'));
+  if (openDashboardBtn) openDashboardBtn.addEventListener('click', () => Router.navigate('dashboard'));
 
   const fab = document.getElementById('fabQuick');
-  if (fab) fab.addEventListener('click', () => {
-    showSection('tools');
-    window.scrollTo({ top: 0, behavior: 'smooth' });
-  });
+  if (fab) fab.addEventListener('click', () => Router.navigate('tools'));
 
-  // default show home
-  showSection('home');
+  Router.render(true);
 }
 
 /* ============================================================
-   Recent activity log helper
-   ============================================================ */
-function logActivity(text) {
-  const arr = Storage.get('recentLogs', []);
-  arr.push({ t: new Date().toLocaleString(), text });
-  // keep last 50
-  Storage.set('recentLogs', arr.slice(-50));
+   Recent activity log — typed events with filtering and undo
+   ============================================================
+ * Each event: { id, type: '<category>.<action>', entityId, payload, text, at (ISO), undoneAt? }.
+ * `text` is the human summary at the time; `payload` holds what an undo needs.
+ */
+const ACTIVITY_CATEGORIES = {
+  water: 'Water',
+  checklist: 'Checklist',
+  mood: 'Mood',
+  log: 'Daily logs',
+  nutrition: 'Nutrition',
+  workout: 'Workouts',
+  body: 'Body metrics',
+  breathing: 'Breathing',
+  challenge: 'Challenges',
+  symptom: 'Symptoms',
+  vitals: 'Heart & vitals',
+  articles: 'Articles',
+  profile: 'Profile',
+  app: 'App & data',
+  other: 'Other'
+};
+const ACTIVITY_PAGE_SIZE = 25;
+let activityPage = 1;
+
+/* reversible event types; each returns false when the change can no longer be undone */
+const ACTIVITY_UNDO = {
+  'water.add'(ev) {
+    const { date, ml, goalTicked } = ev.payload;
+    DailyRecords.update(date, rec => ({
+      water: Math.max(0, rec.water - ml),
+      checks: goalTicked ? Object.assign(rec.checks, { waterGoal: false }) : rec.checks
+    }));
+    renderChecklist();
+    renderChallenges();
+    renderInsights();
+    return true;
+  },
+  'checklist.set'(ev) {
+    const { date, key, value } = ev.payload;
+    DailyRecords.update(date, rec => ({ checks: Object.assign(rec.checks, { [key]: !value }) }));
+    renderChecklist();
+    renderChallenges();
+    renderInsights();
+    return true;
+  },
+  'checklist.clear'(ev) {
+    const { date, checks } = ev.payload;
+    DailyRecords.update(date, rec => ({ checks: Object.assign(rec.checks, checks) }));
+    renderChecklist();
+    renderChallenges();
+    renderInsights();
+    return true;
+  },
+  'mood.add'(ev) {
+    if (!MoodJournal.remove(ev.entityId)) return false;
+    if (editingMoodId === ev.entityId) fillMoodForm(null);
+    onMoodChanged();
+    return true;
+  },
+  'nutrition.add'(ev) {
+    if (!Nutrition.remove(ev.payload.date, ev.entityId)) return false;
+    renderNutrition();
+    renderInsights();
+    return true;
+  },
+  'workout.add'(ev) {
+    if (!Workouts.remove(ev.payload.date, ev.entityId)) return false;
+    onWorkoutsChanged();
+    return true;
+  },
+  'vitals.add'(ev) {
+    if (!Vitals.remove(ev.entityId)) return false;
+    onVitalsChanged();
+    return true;
+  }
+};
+
+const ActivityLog = {
+  KEY: 'recentLogs',
+  all() {
+    return Storage.get(this.KEY, []);
+  },
+  get(id) {
+    return this.all().find(ev => ev.id === id) || null;
+  },
+  add(text, { type = 'app.note', entityId = null, payload = null } = {}) {
+    const event = { id: uid('a'), type, entityId, payload, text, at: new Date().toISOString() };
+    const list = this.all();
+    list.push(event);
+    Storage.set(this.KEY, list);
+    return event;
+  },
+  category(ev) {
+    const prefix = ev.type.split('.')[0];
+    return ACTIVITY_CATEGORIES[prefix] ? prefix : 'other';
+  },
+  // newest first; legacy events without a time sort last
+  filter({ category = '', date = '' } = {}) {
+    return this.all()
+      .filter(ev => (!category || this.category(ev) === category) && (!date || (ev.at && dateKey(new Date(ev.at)) === date)))
+      .sort((a, b) => (b.at || '').localeCompare(a.at || ''));
+  },
+  canUndo(ev) {
+    return !ev.undoneAt && !!ACTIVITY_UNDO[ev.type];
+  },
+  undo(id) {
+    const ev = this.get(id);
+    if (!ev || !this.canUndo(ev) || !ACTIVITY_UNDO[ev.type](ev)) return null;
+    const list = this.all();
+    const stored = list.find(x => x.id === id);
+    stored.undoneAt = new Date().toISOString();
+    Storage.set(this.KEY, list);
+    return stored;
+  }
+};
+
+/* `event` types the entry for filtering; reversible types need the payload their undo reads */
+function logActivity(text, event) {
+  ActivityLog.add(text, event);
   renderRecentLogs();
+  // every logged action may have changed stored data
+  updateCharts();
+}
+
+function activityDayLabel(date) {
+  if (!date) return 'Earlier';
+  if (date === dateKey()) return 'Today';
+  if (date === dateKey(addDays(new Date(), -1))) return 'Yesterday';
+  return new Date(date + 'T12:00').toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
 }
 
 function renderRecentLogs() {
   const container = document.getElementById('recentLogs');
   if (!container) return;
-  const arr = Storage.get('recentLogs', []);
-  container.innerHTML = arr.slice().reverse().map(r => `<div style="padding:6px 0">${r.t} — ${escapeHtml(r.text)}</div>`).join('') || 'No activity';
+  const category = (document.getElementById('activityCategory') || {}).value || '';
+  const date = (document.getElementById('activityDate') || {}).value || '';
+  const events = ActivityLog.filter({ category, date });
+  const shown = events.slice(0, activityPage * ACTIVITY_PAGE_SIZE);
+
+  const groups = [];
+  shown.forEach(ev => {
+    const day = ev.at ? dateKey(new Date(ev.at)) : null;
+    const last = groups[groups.length - 1];
+    if (last && last.day === day) last.events.push(ev);
+    else groups.push({ day, events: [ev] });
+  });
+  container.innerHTML = groups.map(g => `
+    <div class="activity-day">
+      <div class="activity-day-label">${activityDayLabel(g.day)}</div>
+      ${g.events.map(ev => `
+        <div class="activity-item${ev.undoneAt ? ' activity-undone' : ''}" data-id="${escapeHtml(ev.id)}">
+          <span class="activity-time">${ev.at ? new Date(ev.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : escapeHtml(ev.t || '')}</span>
+          <span class="activity-text">${escapeHtml(ev.text)}${ev.undoneAt ? ' <em>(undone)</em>' : ''}</span>
+          ${ActivityLog.canUndo(ev) ? '<button class="btn-ghost" data-action="undo">Undo</button>' : ''}
+        </div>`).join('')}
+    </div>`).join('') || (category || date ? 'No matching activity' : 'No activity');
+
+  const more = document.getElementById('activityMore');
+  if (more) more.style.display = events.length > shown.length ? '' : 'none';
+  const count = document.getElementById('activityCount');
+  if (count) count.textContent = events.length ? `Showing ${shown.length} of ${events.length}` : '';
+}
+
+function initActivityLog() {
+  const select = document.getElementById('activityCategory');
+  if (!select) return;
+  select.innerHTML = '<option value="">All activity</option>' +
+    Object.keys(ACTIVITY_CATEGORIES).map(k => `<option value="${k}">${ACTIVITY_CATEGORIES[k]}</option>`).join('');
+  document.getElementById('activityFilters').addEventListener('input', () => {
+    activityPage = 1;
+    renderRecentLogs();
+  });
+  document.getElementById('activityMore').addEventListener('click', () => {
+    activityPage++;
+    renderRecentLogs();
+  });
+  document.getElementById('recentLogs').addEventListener('click', e => {
+    const btn = e.target.closest('[data-action="undo"]');
+    if (!btn) return;
+    const ev = ActivityLog.undo(btn.closest('[data-id]').dataset.id);
+    if (!ev) {
+      showToast('That change can no longer be undone.', { type: 'error' });
+      renderRecentLogs();
+      return;
+    }
+    logActivity('Undid: ' + ev.text, { type: 'app.undo', entityId: ev.id });
+  });
+  renderRecentLogs();
 }
 
 /* tiny safe html escape */
@@ -133,30 +1141,35 @@ function escapeHtml(s) {
 /* ============================================================
    Checklist / Daily Routine Tracker
    ============================================================ */
+function renderChecklist() {
+  const checks = DailyRecords.today().checks;
+  document.querySelectorAll('#dailyChecklist input[type=checkbox]').forEach(cb => {
+    if (cb.dataset.key) cb.checked = !!checks[cb.dataset.key];
+  });
+}
+
 function initChecklist() {
   const checkboxes = document.querySelectorAll('#dailyChecklist input[type=checkbox]');
+  renderChecklist();
   checkboxes.forEach(cb => {
     const key = cb.dataset.key;
     if (!key) return;
-    cb.checked = Storage.get('check_' + key, false);
     cb.addEventListener('change', () => {
-      Storage.set('check_' + key, cb.checked);
-      updateHydrationProgress();
-      logActivity(`Checklist: ${key} set to ${cb.checked}`);
+      DailyRecords.updateToday(rec => ({ checks: Object.assign(rec.checks, { [key]: cb.checked }) }));
+      renderChallenges();
+      logActivity(`Checklist: ${key} set to ${cb.checked}`, { type: 'checklist.set', payload: { date: dateKey(), key, value: cb.checked } });
       renderInsights(); // update AI insights based on checklist
     });
   });
 
   const clearBtn = document.getElementById('clearChecklist');
   if (clearBtn) clearBtn.addEventListener('click', () => {
-    checkboxes.forEach(cb => {
-      const key = cb.dataset.key;
-      if (!key) return;
-      cb.checked = false;
-      Storage.set('check_' + key, false);
-    });
-    updateHydrationProgress();
-    logActivity('Checklist cleared');
+    const date = dateKey();
+    const checks = DailyRecords.get(date).checks;
+    checkboxes.forEach(cb => { cb.checked = false; });
+    DailyRecords.updateToday({ checks: {} });
+    renderChallenges();
+    logActivity('Checklist cleared', { type: 'checklist.clear', payload: { date, checks } });
     renderInsights();
   });
 }
@@ -186,62 +1199,401 @@ function initNewsletter() {
     Storage.set('subscribers', list);
     if (msg) { msg.textContent = 'Thanks for joining HealthSync+!'; msg.style.color = '#059669'; }
     emailInput.value = '';
-    logActivity('Subscribed: ' + email);
+    logActivity('Subscribed: ' + email, { type: 'app.subscribe' });
   });
 }
 
 /* ============================================================
-   Mood logging
+   Mood journal — entries with intensity, tags, energy/anxiety
    ============================================================ */
-function initMoodLogging() {
-  const addBtn = document.getElementById('addMood');
-  if (!addBtn) return;
-  addBtn.addEventListener('click', () => {
-    const mood = document.getElementById('moodSelect').value;
-    const note = document.getElementById('moodNote').value.trim();
-    const arr = Storage.get('moodLogs', []);
-    arr.push({ mood, note, when: nowStr() });
-    Storage.set('moodLogs', arr);
-    document.getElementById('moodNote').value = '';
-    renderMoodList();
-    logActivity('Mood logged: ' + mood + (note ? ' — ' + note : ''));
-    renderInsights();
-  });
-  renderMoodList();
-}
+/*
+ * Entry: { id, mood, intensity 1–5, tags: [], energy 1–5|null, anxiety 1–5|null, note, at (ISO) }
+ * Stored in insertion order under `moodLogs`; lists are sorted by `at` when shown.
+ */
+const MOOD_TAGS = ['work', 'sleep', 'social', 'exercise', 'family', 'health'];
+const MOOD_COLORS = { 1: '#ff6b6b', 2: '#ffb26b', 3: '#ffe08a', 4: '#9be3b0', 5: '#2ecc71' };
+let editingMoodId = null;
+let moodCalendarMonth = null; // first day of the month shown in the heatmap
 
-function renderMoodList() {
-  const container = document.getElementById('moodList');
-  if (!container) return;
-  const list = Storage.get('moodLogs', []);
-  if (!list || list.length === 0) {
-    container.innerHTML = '<div class="tiny muted">No mood entries</div>';
-    return;
+const MoodJournal = {
+  KEY: 'moodLogs',
+
+  all() {
+    return Storage.get(this.KEY, []);
+  },
+  get(id) {
+    return this.all().find(m => m.id === id) || null;
+  },
+  // clamp and tidy user input into the stored shape
+  clean(fields) {
+    const scale = v => (v === null || v === undefined || v === '' ? null : Math.min(5, Math.max(1, Math.round(Number(v)) || 3)));
+    const tags = (fields.tags || []).map(t => String(t).trim().toLowerCase()).filter(Boolean);
+    const at = fields.at ? new Date(fields.at) : new Date();
+    return {
+      mood: fields.mood,
+      intensity: scale(fields.intensity) || 3,
+      tags: Array.from(new Set(tags)),
+      energy: scale(fields.energy),
+      anxiety: scale(fields.anxiety),
+      note: (fields.note || '').trim(),
+      at: (isNaN(at) ? new Date() : at).toISOString()
+    };
+  },
+  add(fields) {
+    const entry = Object.assign({ id: uid('m') }, this.clean(fields));
+    const list = this.all();
+    list.push(entry);
+    Storage.set(this.KEY, list);
+    return entry;
+  },
+  update(id, fields) {
+    const list = this.all();
+    const i = list.findIndex(m => m.id === id);
+    if (i === -1) return null;
+    list[i] = Object.assign({ id }, this.clean(fields));
+    Storage.set(this.KEY, list);
+    return list[i];
+  },
+  // returns what `restore` needs to undo the removal
+  remove(id) {
+    const list = this.all();
+    const index = list.findIndex(m => m.id === id);
+    if (index === -1) return null;
+    const [entry] = list.splice(index, 1);
+    Storage.set(this.KEY, list);
+    return { entry, index };
+  },
+  restore({ entry, index }) {
+    const list = this.all();
+    if (list.some(m => m.id === entry.id)) return;
+    list.splice(Math.min(index, list.length), 0, entry);
+    Storage.set(this.KEY, list);
+  },
+  // preset tags first, then any custom ones the user has used
+  tags() {
+    const used = [];
+    this.all().forEach(m => (m.tags || []).forEach(t => { if (!MOOD_TAGS.includes(t) && !used.includes(t)) used.push(t); }));
+    return MOOD_TAGS.concat(used.sort());
+  },
+  // newest first; `from`/`to` are YYYY-MM-DD and inclusive
+  filter({ q = '', mood = '', tag = '', from = '', to = '' } = {}) {
+    const needle = q.trim().toLowerCase();
+    return this.all().filter(m => {
+      if (mood && m.mood !== mood) return false;
+      if (tag && !(m.tags || []).includes(tag)) return false;
+      const d = moodEntryDate(m);
+      if ((from || to) && !d) return false;
+      if (from && dateKey(d) < from) return false;
+      if (to && dateKey(d) > to) return false;
+      if (needle && ![m.mood, m.note].concat(m.tags || []).join(' ').toLowerCase().includes(needle)) return false;
+      return true;
+    }).sort((a, b) => (moodEntryDate(b) || 0) - (moodEntryDate(a) || 0));
   }
-  container.innerHTML = list.slice().reverse().map(m => `<li class="tiny" style="padding:8px 0">${escapeHtml(m.when)} — ${escapeHtml(m.mood)}${m.note ? ' — ' + escapeHtml(m.note) : ''}</li>`).join('');
-}
+};
 
-/* ============================================================
-   Charts (Chart.js) — init with sample/demo data and update hooks
+function readMoodForm() {
+  const extras = document.getElementById('moodExtras').checked;
+  const checked = Array.from(document.querySelectorAll('#moodTags input:checked')).map(i => i.value);
+  const custom = document.getElementById('moodCustomTags').value.split(',');
+  const atInput = document.getElementById('moodAt');
+  return {
+    mood: document.getElementById('moodSelect').value,
+    intensity: document.getElementById('moodIntensity').value,
+    tags: checked.concat(custom),
+    energy: extras ? document.getElementById('moodEnergy').value : null,
+    anxiety: extras ? document.getElementById('moodAnxiety').value : null,
+    note: document.getElementById('moodNote').value,
+    // an untouched time keeps the entry's original (second-precision) timestamp
+    at: atInput.value && atInput.value === atInput.dataset.shown ? atInput.dataset.iso : atInput.value || null
+  };
+}
+
+/* fill the form from an entry, or reset it for a new one */
+function fillMoodForm(entry) {
+  editingMoodId = entry ? entry.id : null;
+  const extras = !!(entry && (entry.energy || entry.anxiety));
+  document.getElementById('moodSelect').value = entry ? entry.mood : 'Happy';
+  document.getElementById('moodIntensity').value = entry ? entry.intensity : 3;
+  document.getElementById('moodExtras').checked = extras;
+  document.getElementById('moodEnergy').value = (entry && entry.energy) || 3;
+  document.getElementById('moodAnxiety').value = (entry && entry.anxiety) || 3;
+  document.getElementById('moodNote').value = entry ? entry.note : '';
+  const d = entry && moodEntryDate(entry);
+  const atInput = document.getElementById('moodAt');
+  atInput.value = atInput.dataset.shown = d ? localDateTimeValue(d) : '';
+  atInput.dataset.iso = d ? d.toISOString() : '';
+  document.getElementById('moodCustomTags').value = '';
+  renderMoodTagOptions(entry ? entry.tags : []);
+  document.getElementById('addMood').textContent = entry ? 'Save' : 'Add';
+  document.getElementById('cancelMoodEdit').style.display = entry ? '' : 'none';
+  syncMoodFormLabels();
+}
+
+function syncMoodFormLabels() {
+  ['moodIntensity', 'moodEnergy', 'moodAnxiety'].forEach(id => {
+    const out = document.getElementById(id + 'Val');
+    if (out) out.textContent = document.getElementById(id).value;
+  });
+  document.getElementById('moodExtraFields').style.display = document.getElementById('moodExtras').checked ? '' : 'none';
+}
+
+function renderMoodTagOptions(selected = []) {
+  const box = document.getElementById('moodTags');
+  if (box) {
+    box.innerHTML = MoodJournal.tags().map(t =>
+      `<label class="chip"><input type="checkbox" value="${escapeHtml(t)}"${selected.includes(t) ? ' checked' : ''}> ${escapeHtml(t)}</label>`).join('');
+  }
+  const filter = document.getElementById('moodFilterTag');
+  if (filter) {
+    const current = filter.value;
+    filter.innerHTML = '<option value="">All tags</option>' +
+      MoodJournal.tags().map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('');
+    filter.value = current;
+  }
+}
+
+/* everything that shows mood data */
+function onMoodChanged() {
+  renderMoodTagOptions(editingMoodId ? (MoodJournal.get(editingMoodId) || {}).tags : undefined);
+  renderMoodList();
+  renderMoodCalendar();
+  renderInsights();
+}
+
+function initMoodLogging() {
+  const addBtn = document.getElementById('addMood');
+  if (!addBtn) return;
+  const form = document.getElementById('moodForm');
+  form.addEventListener('input', syncMoodFormLabels);
+
+  addBtn.addEventListener('click', () => {
+    const fields = readMoodForm();
+    const msg = document.getElementById('moodMsg');
+    const editing = editingMoodId;
+    const entry = editing ? MoodJournal.update(editing, fields) : MoodJournal.add(fields);
+    fillMoodForm(null);
+    if (msg) { msg.textContent = editing ? 'Entry updated.' : ''; msg.style.color = '#059669'; }
+    onMoodChanged();
+    const note = fields.note.trim();
+    logActivity((editing ? 'Mood entry edited: ' : 'Mood logged: ') + fields.mood + (note ? ' — ' + note : ''),
+      { type: editing ? 'mood.edit' : 'mood.add', entityId: entry && entry.id });
+  });
+  document.getElementById('cancelMoodEdit').addEventListener('click', () => fillMoodForm(null));
+
+  // edit / delete buttons on entries
+  document.getElementById('moodList').addEventListener('click', e => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const id = btn.closest('[data-id]').dataset.id;
+    if (btn.dataset.action === 'edit') {
+      fillMoodForm(MoodJournal.get(id));
+      document.getElementById('moodSelect').focus();
+    } else if (btn.dataset.action === 'delete') {
+      const removed = MoodJournal.remove(id);
+      if (!removed) return;
+      if (editingMoodId === id) fillMoodForm(null);
+      onMoodChanged();
+      logActivity('Mood entry deleted: ' + removed.entry.mood, { type: 'mood.delete', entityId: id });
+      showToast('Mood entry deleted.', {
+        actions: [{ label: 'Undo', onClick: () => {
+          MoodJournal.restore(removed);
+          onMoodChanged();
+          logActivity('Mood entry restored: ' + removed.entry.mood, { type: 'mood.restore', entityId: id });
+        } }]
+      });
+    }
+  });
+
+  // search & filters
+  const filters = document.getElementById('moodFilters');
+  filters.addEventListener('input', renderMoodList);
+  document.getElementById('clearMoodFilters').addEventListener('click', () => {
+    filters.querySelectorAll('input, select').forEach(el => { el.value = ''; });
+    renderMoodList();
+  });
+
+  // heatmap: month paging, click a day to filter the list to it
+  document.getElementById('moodCalPrev').addEventListener('click', () => shiftMoodCalendar(-1));
+  document.getElementById('moodCalNext').addEventListener('click', () => shiftMoodCalendar(1));
+  document.getElementById('moodCalendar').addEventListener('click', e => {
+    const cell = e.target.closest('[data-date]');
+    if (!cell) return;
+    document.getElementById('moodFrom').value = cell.dataset.date;
+    document.getElementById('moodTo').value = cell.dataset.date;
+    renderMoodList();
+  });
+
+  fillMoodForm(null);
+  renderMoodList();
+  renderMoodCalendar();
+}
+
+function moodFilters() {
+  const val = id => (document.getElementById(id) || {}).value || '';
+  return { q: val('moodSearch'), mood: val('moodFilterMood'), tag: val('moodFilterTag'), from: val('moodFrom'), to: val('moodTo') };
+}
+
+function renderMoodList() {
+  const container = document.getElementById('moodList');
+  if (!container) return;
+  const total = MoodJournal.all().length;
+  const list = MoodJournal.filter(moodFilters());
+  const count = document.getElementById('moodCount');
+  if (count) count.textContent = list.length === total ? `${total} entries` : `${list.length} of ${total} entries`;
+  if (list.length === 0) {
+    container.innerHTML = `<div class="tiny muted">${total ? 'No entries match these filters' : 'No mood entries'}</div>`;
+    return;
+  }
+  container.innerHTML = list.map(m => {
+    const d = moodEntryDate(m);
+    const extras = [m.energy ? `energy ${m.energy}/5` : '', m.anxiety ? `anxiety ${m.anxiety}/5` : ''].filter(Boolean).join(' · ');
+    return `<li class="mood-entry tiny" data-id="${escapeHtml(m.id)}">
+      <div style="display:flex;justify-content:space-between;gap:8px">
+        <div><strong>${escapeHtml(m.mood)}</strong> · ${m.intensity || 3}/5 <span class="muted">— ${escapeHtml(d ? d.toLocaleString() : m.when || '')}</span></div>
+        <div style="display:flex;gap:4px">
+          <button class="btn-ghost" data-action="edit">Edit</button>
+          <button class="btn-ghost" data-action="delete">Delete</button>
+        </div>
+      </div>
+      ${(m.tags || []).length ? `<div>${m.tags.map(t => `<span class="chip">${escapeHtml(t)}</span>`).join(' ')}</div>` : ''}
+      ${extras ? `<div class="muted">${extras}</div>` : ''}
+      ${m.note ? `<div>${escapeHtml(m.note)}</div>` : ''}
+      ${Sync.conflictFor('moodLogs', m.id) ? '<div class="sync-conflict-note">Also changed on another device — <a href="#/tools/sync">review</a></div>' : ''}
+    </li>`;
+  }).join('');
+}
+
+function shiftMoodCalendar(months) {
+  const base = moodCalendarMonth || new Date();
+  moodCalendarMonth = new Date(base.getFullYear(), base.getMonth() + months, 1);
+  renderMoodCalendar();
+}
+
+/* month grid (Monday first) coloured by the day's average mood score */
+function renderMoodCalendar() {
+  const grid = document.getElementById('moodCalendar');
+  if (!grid) return;
+  const now = new Date();
+  const month = moodCalendarMonth || new Date(now.getFullYear(), now.getMonth(), 1);
+  const label = document.getElementById('moodCalLabel');
+  if (label) label.textContent = month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+  const byDay = moodScoresByDay();
+  const lead = (month.getDay() + 6) % 7;
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const cells = ['M', 'T', 'W', 'T', 'F', 'S', 'S'].map(d => `<span class="mood-cal-head">${d}</span>`);
+  for (let i = 0; i < lead; i++) cells.push('<span></span>');
+  for (let day = 1; day <= daysInMonth; day++) {
+    const key = dateKey(new Date(month.getFullYear(), month.getMonth(), day));
+    const scores = byDay[key];
+    if (!scores) {
+      cells.push(`<span class="mood-cal-day" title="${key}: no entries">${day}</span>`);
+      continue;
+    }
+    const avg = scores.reduce((a, b) => a + b, 0) / scores.length;
+    cells.push(`<button class="mood-cal-day" data-date="${key}" style="background:${MOOD_COLORS[Math.round(avg)]}"
+      title="${key}: average mood ${tidyNumber(avg, 1)}/5 (${scores.length} ${scores.length === 1 ? 'entry' : 'entries'})">${day}</button>`);
+  }
+  grid.innerHTML = cells.join('');
+}
+
+/* ============================================================
+   Charts (Chart.js) — built from daily records and mood logs
    ============================================================ */
 let stepsChart = null, sleepChart = null, moodChart = null;
+const CHART_RANGES = [7, 30, 90];
+const MOOD_SCORES = { Happy: 5, Calm: 4, Neutral: 3, Anxious: 2, Sad: 1 };
+
+/* mood entries carry an ISO `at`; older ones only have the locale `when` string */
+function moodEntryDate(m) {
+  const d = new Date(m.at || m.when);
+  return isNaN(d) ? null : d;
+}
+
+/* mood scores (1–5) grouped by date key */
+function moodScoresByDay() {
+  const byDay = {};
+  Storage.get('moodLogs', []).forEach(m => {
+    const score = MOOD_SCORES[m.mood];
+    const d = moodEntryDate(m);
+    if (!score || !d) return;
+    (byDay[dateKey(d)] = byDay[dateKey(d)] || []).push(score);
+  });
+  return byDay;
+}
+
+function chartRange() {
+  const days = Storage.get('chartRange', 7);
+  return CHART_RANGES.includes(days) ? days : 7;
+}
+
+function buildChartSeries(days = chartRange()) {
+  const rows = DailyRecords.range(days);
+  const moodByDay = moodScoresByDay();
+  const labels = rows.map(w => days <= 7
+    ? w.day.toLocaleDateString(undefined, { weekday: 'short' })
+    : w.day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }));
+  return {
+    labels,
+    steps: rows.map(w => totalSteps(w.record)),
+    sleep: rows.map(w => w.record.sleep),
+    mood: rows.map(w => {
+      const scores = moodByDay[w.date];
+      return scores ? tidyNumber(scores.reduce((a, b) => a + b, 0) / scores.length, 1) : null;
+    })
+  };
+}
+
+function updateCharts() {
+  if (!stepsChart && !sleepChart && !moodChart) return;
+  const series = buildChartSeries();
+  [[stepsChart, series.steps], [sleepChart, series.sleep], [moodChart, series.mood]].forEach(([chart, data]) => {
+    if (!chart) return;
+    chart.data.labels = series.labels;
+    chart.data.datasets[0].data = data;
+    chart.update();
+  });
+  updateMacroChart();
+}
+
+/* stands in for a chart canvas when Chart.js could not load */
+function chartFallback(canvas) {
+  const note = document.createElement('div');
+  note.className = 'tiny muted chart-fallback';
+  note.textContent = 'Charts are unavailable offline — they will appear once you reconnect and reload.';
+  canvas.replaceWith(note);
+}
+
 function initCharts() {
-  // safe guard if Chart not loaded
+  const rangeSel = document.getElementById('chartRange');
+  if (rangeSel) {
+    rangeSel.value = String(chartRange());
+    rangeSel.addEventListener('change', () => {
+      Storage.set('chartRange', parseInt(rangeSel.value, 10));
+      updateCharts();
+    });
+  }
+
+  // safe guard if Chart not loaded (e.g. first visit while offline)
   if (typeof Chart === 'undefined') {
     console.warn('Chart.js not found — charts will not render.');
+    ['stepsChart', 'sleepChart', 'moodChart', 'macroChart'].forEach(id => {
+      const canvas = document.getElementById(id);
+      if (canvas) chartFallback(canvas);
+    });
     return;
   }
 
-  const sampleSteps = Storage.get('stepsWeek', [1200, 3400, 4500, 6700, 2300, 7600, 4200]);
+  const series = buildChartSeries();
   const stepsCtx = document.getElementById('stepsChart')?.getContext('2d');
   if (stepsCtx) {
     stepsChart = new Chart(stepsCtx, {
       type: 'bar',
       data: {
-        labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+        labels: series.labels,
         datasets: [{
           label: 'Steps',
-          data: sampleSteps,
+          data: series.steps,
           borderRadius: 8,
           backgroundColor: '#6ec6ffaa'
         }]
@@ -258,8 +1610,8 @@ function initCharts() {
     sleepChart = new Chart(sleepCtx, {
       type: 'line',
       data: {
-        labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
-        datasets: [{ label: 'Sleep hrs', data: [6, 7.5, 5.5, 8, 7, 6.5, 7], fill: true, tension: 0.4 }]
+        labels: series.labels,
+        datasets: [{ label: 'Sleep hrs', data: series.sleep, fill: true, tension: 0.4, spanGaps: true }]
       },
       options: { plugins: { legend: { display: false } }, scales: { y: { beginAtZero: false } } }
     });
@@ -270,55 +1622,341 @@ function initCharts() {
     moodChart = new Chart(moodCtx, {
       type: 'line',
       data: {
-        labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
-        datasets: [{ label: 'Mood (1-5)', data: [3, 4, 2, 5, 4, 3, 4], tension: 0.4 }]
+        labels: series.labels,
+        datasets: [{ label: 'Mood (1-5)', data: series.mood, tension: 0.4, spanGaps: true }]
       },
       options: { plugins: { legend: { display: false } }, scales: { y: { min: 0, max: 5 } } }
     });
   }
+
+  const macroCtx = document.getElementById('macroChart')?.getContext('2d');
+  if (macroCtx) {
+    macroChart = new Chart(macroCtx, {
+      type: 'doughnut',
+      data: {
+        labels: ['Protein kcal', 'Carbs kcal', 'Fat kcal'],
+        datasets: [{ data: [0, 0, 0], backgroundColor: ['#3aa0ff', '#2bb7b2', '#f5a524'] }]
+      },
+      options: { plugins: { legend: { position: 'bottom', labels: { boxWidth: 12 } } } }
+    });
+    updateMacroChart();
+  }
 }
 
 /* ============================================================
    Insights: rule-based "AI" wellness suggestions
    ============================================================ */
-function generateInsightsObj() {
-  // read stored values with safe defaults
-  const sleepHours = Storage.get('lastSleep', 6.2);
-  const water = Storage.get('waterCount', 0);
-  const moodLogs = Storage.get('moodLogs', []);
-  const stepsToday = Storage.get('stepsToday', 3200);
-
-  const insights = [];
-  if (sleepHours < 6) insights.push('You slept less than 6 hrs — try a quick nap or a power-rest today.');
-  else if (sleepHours < 7) insights.push('Sleep was slightly short — aim for 7–8 hrs.');
-  else insights.push('Nice sleep last night — keep it up.');
+/* fill "{name}" placeholders from vars */
+function fillTemplate(tpl, vars) {
+  return tpl.replace(/\{(\w+)\}/g, (m, k) => (vars[k] === undefined ? m : vars[k]));
+}
 
-  if (water < 4) insights.push('You have logged fewer than 4 glasses — have a glass of water now 💧');
-  else if (water < 8) insights.push('You’re halfway to your water goal — keep sipping.');
-  else insights.push('Great — you reached your hydration goal today!');
+/*
+ * Insight rules. `when(ctx, params)` returns false when the rule doesn't apply,
+ * otherwise an object of template variables for `message` and `reason`.
+ * `cooldownHours` is how long the insight stays hidden after being dismissed.
+ * Severity is one of: alert, tip, good.
+ */
+const INSIGHT_RULES = [
+  {
+    id: 'sleep-missing', name: 'Sleep not logged', severity: 'tip', cooldownHours: 6,
+    message: 'Log last night’s sleep to get sleep suggestions.',
+    reason: 'No sleep entry for today',
+    when: ctx => ctx.today.sleep === null && {}
+  },
+  {
+    id: 'sleep-short', name: 'Short sleep', severity: 'alert', cooldownHours: 12, params: { below: 6 },
+    message: 'You slept less than {below} hrs — try a quick nap or a power-rest today.',
+    reason: 'Last night {sleep} h is under {below} h',
+    when: (ctx, p) => ctx.today.sleep !== null && ctx.today.sleep < p.below && { sleep: ctx.today.sleep, below: p.below }
+  },
+  {
+    id: 'sleep-slightly-short', name: 'Slightly short sleep', severity: 'tip', cooldownHours: 12, params: { min: 6 },
+    message: 'Sleep was slightly short — aim for {goal} hrs.',
+    reason: 'Last night {sleep} h is under your {goal} h goal',
+    when: (ctx, p) => ctx.today.sleep !== null && ctx.today.sleep >= p.min && ctx.today.sleep < ctx.goals.sleep && { sleep: ctx.today.sleep, goal: ctx.goals.sleep }
+  },
+  {
+    id: 'sleep-good', name: 'Good sleep', severity: 'good', cooldownHours: 12,
+    message: 'Nice sleep last night — keep it up.',
+    reason: 'Last night {sleep} h meets your {goal} h goal',
+    when: ctx => ctx.today.sleep !== null && ctx.today.sleep >= ctx.goals.sleep && { sleep: ctx.today.sleep, goal: ctx.goals.sleep }
+  },
+  {
+    id: 'sleep-declining', name: 'Declining sleep', severity: 'alert', cooldownHours: 24, params: { nights: 3 },
+    message: 'Your sleep has dropped {nights} nights in a row — try winding down earlier tonight.',
+    reason: 'Sleep went {trend} h over the last {span} nights',
+    when: (ctx, p) => {
+      const recent = ctx.history.slice(-(p.nights + 1)).map(h => h.record.sleep);
+      if (recent.length < p.nights + 1 || recent.some(v => v === null)) return false;
+      const declining = recent.every((v, i) => i === 0 || v < recent[i - 1]);
+      return declining && { nights: p.nights, span: recent.length, trend: recent.join(' → ') };
+    }
+  },
+  {
+    id: 'sleep-debt', name: 'Sleep debt', severity: 'alert', cooldownHours: 24, params: { above: 5 },
+    message: 'You’re carrying about {debt} h of sleep debt — an earlier night or two will help pay it back.',
+    reason: 'Hours under your {goal} h goal over the last {days} nights',
+    when: (ctx, p) => {
+      const debt = Sleep.debt(ctx.goals.sleep);
+      return debt >= p.above && { debt, goal: ctx.goals.sleep, days: SLEEP_DEBT_DAYS };
+    }
+  },
+  {
+    id: 'sleep-irregular', name: 'Irregular sleep times', severity: 'tip', cooldownHours: 72, params: { below: 60 },
+    message: 'Your bed and wake times vary by about {spread} min — a steadier schedule makes sleep easier.',
+    reason: 'Consistency score {score} over the last 7 nights',
+    when: (ctx, p) => {
+      const c = Sleep.consistency(ctx.history.slice(-7).filter(h => h.record.sleep !== null));
+      return c && c.score < p.below && c;
+    }
+  },
+  {
+    id: 'sleep-schedule', name: 'Schedule too short', severity: 'tip', cooldownHours: 72,
+    message: 'Your bedtime and wake time leave {window} h in bed — less than your {goal} h sleep goal.',
+    reason: 'Profile schedule {from}–{to}',
+    when: ctx => ctx.scheduleHours < ctx.goals.sleep && { window: ctx.scheduleHours, goal: ctx.goals.sleep, from: ctx.profile.sleepTime, to: ctx.profile.wakeTime }
+  },
+  {
+    id: 'water-low', name: 'Low hydration', severity: 'alert', cooldownHours: 2,
+    message: 'You have logged less than {below} — have a glass of water now 💧',
+    reason: '{water} logged today, under half your {goal} goal',
+    when: ctx => {
+      const below = ctx.goals.water / 2;
+      return ctx.today.water < below && { water: Units.formatWater(ctx.today.water), below: Units.formatWater(below), goal: Units.formatWater(ctx.goals.water) };
+    }
+  },
+  {
+    id: 'water-halfway', name: 'Halfway to water goal', severity: 'tip', cooldownHours: 2,
+    message: 'You’re halfway to your water goal — keep sipping.',
+    reason: '{water} of {goal} logged today',
+    when: ctx => ctx.today.water >= ctx.goals.water / 2 && ctx.today.water < ctx.goals.water && { water: Units.formatWater(ctx.today.water), goal: Units.formatWater(ctx.goals.water) }
+  },
+  {
+    id: 'water-goal', name: 'Hydration goal reached', severity: 'good', cooldownHours: 12,
+    message: 'Great — you reached your hydration goal today!',
+    reason: '{water} of {goal} logged today',
+    when: ctx => ctx.today.water >= ctx.goals.water && { water: Units.formatWater(ctx.today.water), goal: Units.formatWater(ctx.goals.water) }
+  },
+  {
+    id: 'mood-none', name: 'No mood entries', severity: 'tip', cooldownHours: 24, params: { days: 7 },
+    message: 'You haven’t logged any mood entries this week — how are you feeling?',
+    reason: 'No mood entries in the last {days} days',
+    when: (ctx, p) => !ctx.history.slice(-p.days).some(h => ctx.moodByDay[h.date]) && { days: p.days }
+  },
+  {
+    id: 'steps-low', name: 'Low activity', severity: 'tip', cooldownHours: 4, params: { below: 3000 },
+    message: 'Try a 15-min walk — short walks can boost mood and circulation.',
+    reason: '{steps} steps today is under {below}',
+    when: (ctx, p) => totalSteps(ctx.today) < p.below && { steps: totalSteps(ctx.today), below: p.below }
+  },
+  {
+    id: 'mood-low-steps', name: 'Mood vs. activity', severity: 'tip', cooldownHours: 48, params: { steps: 3000, minDays: 2 },
+    message: 'Your mood tends to be lower on days with fewer than {steps} steps — a short walk might help.',
+    reason: 'Avg mood {low} on {lowDays} low-step days vs {high} on other days (last 14 days)',
+    when: (ctx, p) => {
+      const low = [], high = [];
+      ctx.history.slice(0, -1).forEach(h => {
+        const scores = ctx.moodByDay[h.date];
+        if (!scores) return;
+        const avg = scores.reduce((a, b) => a + b, 0) / scores.length;
+        (totalSteps(h.record) < p.steps ? low : high).push(avg);
+      });
+      if (low.length < p.minDays || !high.length) return false;
+      const mean = arr => tidyNumber(arr.reduce((a, b) => a + b, 0) / arr.length, 1);
+      return mean(low) < mean(high) && mean(low) <= 2.5 && { steps: p.steps, low: mean(low), high: mean(high), lowDays: low.length };
+    }
+  },
+  {
+    id: 'active-minutes-low', name: 'Weekly activity', severity: 'tip', cooldownHours: 24, params: { days: 7 },
+    message: '{minutes} active minutes in the last {days} days — {left} more to reach the {goal}-minute guideline.',
+    reason: 'Moderate minutes plus double vigorous minutes from your activity log',
+    when: (ctx, p) => {
+      const minutes = Workouts.activeMinutes(ctx.history.slice(-p.days).map(h => h.record));
+      return minutes < ACTIVE_MINUTES_GOAL && { minutes, left: ACTIVE_MINUTES_GOAL - minutes, goal: ACTIVE_MINUTES_GOAL, days: p.days };
+    }
+  },
+  {
+    id: 'active-minutes-goal', name: 'Activity guideline met', severity: 'good', cooldownHours: 72, params: { days: 7 },
+    message: 'You reached {minutes} active minutes this week — that meets the {goal}-minute guideline.',
+    reason: 'Last {days} days of your activity log',
+    when: (ctx, p) => {
+      const minutes = Workouts.activeMinutes(ctx.history.slice(-p.days).map(h => h.record));
+      return minutes >= ACTIVE_MINUTES_GOAL && { minutes, goal: ACTIVE_MINUTES_GOAL, days: p.days };
+    }
+  },
+  {
+    id: 'calories-under', name: 'Under calorie target', severity: 'tip', cooldownHours: 12, params: { margin: 500, afterHour: 19 },
+    message: 'You’re {diff} kcal under your {target} kcal target today — a balanced snack could help.',
+    reason: '{intake} kcal logged by {hour}:00, target {target} kcal',
+    when: (ctx, p) => {
+      const intake = Nutrition.totals(ctx.today).kcal;
+      const hour = ctx.now.getHours();
+      return ctx.calorieTarget && intake > 0 && hour >= p.afterHour && ctx.calorieTarget - intake >= p.margin &&
+        { diff: (ctx.calorieTarget - intake).toLocaleString(), target: ctx.calorieTarget.toLocaleString(), intake: intake.toLocaleString(), hour };
+    }
+  },
+  {
+    id: 'calories-over', name: 'Over calorie target', severity: 'alert', cooldownHours: 12, params: { margin: 300 },
+    message: 'You’re {diff} kcal over your {target} kcal target today.',
+    reason: '{intake} kcal logged today',
+    when: (ctx, p) => {
+      const intake = Nutrition.totals(ctx.today).kcal;
+      return ctx.calorieTarget && intake - ctx.calorieTarget >= p.margin &&
+        { diff: (intake - ctx.calorieTarget).toLocaleString(), target: ctx.calorieTarget.toLocaleString(), intake: intake.toLocaleString() };
+    }
+  },
+  {
+    id: 'vitals-out-of-range', name: 'Vitals out of range', severity: 'alert', cooldownHours: 12, params: { withinHours: 24 },
+    message: '{warning} Re-measure, and talk to a clinician if it persists.',
+    reason: 'reading from {when}',
+    when: (ctx, p) => {
+      const recent = Vitals.all().filter(r => r.source === 'manual' && ctx.now - new Date(r.at) < p.withinHours * 3600 * 1000);
+      const flagged = recent.map(r => ({ r, warn: vitalWarnings(r, ctx.profile) })).filter(x => x.warn.length).pop();
+      return flagged && { warning: flagged.warn[0].text, when: new Date(flagged.r.at).toLocaleString() };
+    }
+  }
+];
 
-  if (!moodLogs || moodLogs.length === 0) insights.push('You haven’t logged any mood entries this week — how are you feeling?');
+const Insights = {
+  KEY: 'insightRules',
+  rules: INSIGHT_RULES.slice(),
 
-  if (stepsToday < 3000) insights.push('Try a 15-min walk — short walks can boost mood and circulation.');
+  // user customisation: rule order, disabled rules and dismissal times
+  settings() {
+    return Object.assign({ order: [], disabled: [], dismissed: {} }, Storage.get(this.KEY, {}));
+  },
+  save(settings) {
+    Storage.set(this.KEY, settings);
+  },
+  addRule(rule) {
+    this.rules = this.rules.filter(r => r.id !== rule.id).concat(rule);
+  },
+  ordered() {
+    const order = this.settings().order;
+    const rank = r => (order.includes(r.id) ? order.indexOf(r.id) : order.length + this.rules.indexOf(r));
+    return this.rules.slice().sort((a, b) => rank(a) - rank(b));
+  },
+  setEnabled(id, enabled) {
+    const st = this.settings();
+    st.disabled = st.disabled.filter(d => d !== id).concat(enabled ? [] : [id]);
+    this.save(st);
+  },
+  move(id, delta) {
+    const ids = this.ordered().map(r => r.id);
+    const i = ids.indexOf(id);
+    const j = i + delta;
+    if (i < 0 || j < 0 || j >= ids.length) return;
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+    const st = this.settings();
+    st.order = ids;
+    this.save(st);
+  },
+  dismiss(id) {
+    const st = this.settings();
+    st.dismissed[id] = new Date().toISOString();
+    this.save(st);
+  },
+  context() {
+    const profile = Profile.get();
+    return {
+      profile,
+      goals: profile.goals,
+      scheduleHours: Profile.scheduledSleepHours(profile),
+      today: DailyRecords.today(),
+      history: DailyRecords.range(14),
+      moodByDay: moodScoresByDay(),
+      calorieTarget: calorieTarget(profile),
+      now: new Date()
+    };
+  },
+  evaluate(ctx = this.context()) {
+    const st = this.settings();
+    const now = Date.now();
+    const fired = [];
+    this.ordered().forEach(rule => {
+      if (st.disabled.includes(rule.id)) return;
+      const dismissedAt = st.dismissed[rule.id];
+      if (dismissedAt && now - new Date(dismissedAt) < (rule.cooldownHours || 0) * 3600 * 1000) return;
+      let vars;
+      try {
+        vars = rule.when(ctx, rule.params || {});
+      } catch (e) {
+        console.warn('Insight rule failed', rule.id, e);
+        return;
+      }
+      if (!vars) return;
+      fired.push({
+        id: rule.id,
+        rule: rule.name,
+        severity: rule.severity || 'tip',
+        text: fillTemplate(rule.message, vars),
+        why: fillTemplate(rule.reason || '', vars)
+      });
+    });
+    return fired;
+  }
+};
 
+function generateInsightsObj() {
+  const ctx = Insights.context();
   return {
-    insights,
-    meta: { sleepHours, water, stepsToday }
+    insights: Insights.evaluate(ctx),
+    meta: { sleepHours: ctx.today.sleep, water: ctx.today.water, stepsToday: totalSteps(ctx.today), goals: ctx.goals }
   };
 }
 
+function renderInsightRules() {
+  const list = document.getElementById('insightRuleList');
+  if (!list) return;
+  const disabled = Insights.settings().disabled;
+  list.innerHTML = '';
+  Insights.ordered().forEach((rule, i, all) => {
+    const li = document.createElement('li');
+    li.className = 'tiny';
+    li.style.cssText = 'display:flex;align-items:center;gap:6px;padding:4px 0';
+    li.innerHTML = `
+      <input type="checkbox" ${disabled.includes(rule.id) ? '' : 'checked'} aria-label="Enable ${escapeHtml(rule.name)}">
+      <span style="flex:1">${escapeHtml(rule.name)}</span>
+      <button class="btn-ghost" data-move="-1" aria-label="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+      <button class="btn-ghost" data-move="1" aria-label="Move down" ${i === all.length - 1 ? 'disabled' : ''}>↓</button>`;
+    li.querySelector('input').addEventListener('change', e => {
+      Insights.setEnabled(rule.id, e.target.checked);
+      renderInsights();
+    });
+    li.querySelectorAll('[data-move]').forEach(b => b.addEventListener('click', () => {
+      Insights.move(rule.id, parseInt(b.dataset.move, 10));
+      renderInsightRules();
+      renderInsights();
+    }));
+    list.appendChild(li);
+  });
+}
+
 function renderInsights() {
   const container = document.getElementById('insights');
   if (!container) return;
   const obj = generateInsightsObj();
+  const { sleepHours, water, stepsToday, goals } = obj.meta;
   container.innerHTML = '';
-  obj.insights.forEach(s => {
+  obj.insights.forEach(ins => {
     const d = document.createElement('div');
-    d.className = 'tiny';
+    d.className = 'tiny insight insight-' + ins.severity;
     d.style.margin = '6px 0';
-    d.textContent = '• ' + s;
+    d.innerHTML = `
+      <div style="display:flex;gap:6px;align-items:flex-start">
+        <span style="flex:1">• ${escapeHtml(ins.text)}</span>
+        <button class="btn-ghost" style="padding:0 6px" aria-label="Dismiss">×</button>
+      </div>
+      <div class="muted" style="margin-left:10px">${escapeHtml(ins.rule)} — ${escapeHtml(ins.why)}</div>`;
+    d.querySelector('button').addEventListener('click', () => {
+      Insights.dismiss(ins.id);
+      renderInsights();
+    });
     container.appendChild(d);
   });
+  if (!obj.insights.length) container.innerHTML = '<div class="tiny muted">Nothing to flag right now.</div>';
+  renderArticleRecs(obj.insights);
   const timeEl = document.getElementById('insightTime');
   if (timeEl) timeEl.textContent = new Date().toLocaleTimeString();
 
@@ -326,236 +1964,2283 @@ function renderInsights() {
   const sleepEl = document.getElementById('sleepHours');
   const waterEl = document.getElementById('waterCount');
   const stepsEl = document.getElementById('stepsCount');
-  if (sleepEl) sleepEl.textContent = Storage.get('lastSleep', 6.2) + ' hr';
-  if (waterEl) waterEl.textContent = `${Storage.get('waterCount', 0)} / 8`;
-  if (stepsEl) stepsEl.textContent = Storage.get('stepsToday', 0);
+  if (sleepEl) sleepEl.textContent = sleepHours === null ? '— hr' : sleepHours + ' hr';
+  if (waterEl) waterEl.textContent = `${Units.waterValue(water).toLocaleString()} / ${Units.formatWater(goals.water)}`;
+  if (stepsEl) stepsEl.textContent = stepsToday.toLocaleString();
 }
 
 /* ============================================================
-   Heartbeat simulation
+   Articles — local content library, search, bookmarks and recommendations
    ============================================================ */
-function initHeartbeatSimulation() {
-  const el = document.getElementById('heartBeat');
-  if (!el) return;
-  function tick() {
-    const hr = Math.floor(60 + Math.random() * 35);
-    el.textContent = hr;
-    // slightly vary animation speed by applying random duration (CSS animation defined in styles)
-    // we manipulate inline style to vary animation speed
-    const speed = 0.9 + Math.random() * 0.5; // seconds
-    el.style.animationDuration = `${speed}s`;
+const ARTICLES_URL = 'articles.json';
+const ARTICLE_CATEGORIES = { fitness: 'Fitness', nutrition: 'Nutrition', mental: 'Mental health' };
+// article tags worth suggesting while an insight rule is firing
+const INSIGHT_ARTICLE_TAGS = {
+  'sleep-missing': ['sleep'],
+  'sleep-short': ['sleep'],
+  'sleep-slightly-short': ['sleep'],
+  'sleep-declining': ['sleep'],
+  'sleep-debt': ['sleep debt', 'sleep'],
+  'sleep-irregular': ['routine', 'sleep'],
+  'sleep-schedule': ['routine', 'sleep'],
+  'water-low': ['hydration'],
+  'water-halfway': ['hydration'],
+  'mood-none': ['journaling', 'mood'],
+  'steps-low': ['walking', 'steps'],
+  'mood-low-steps': ['mood', 'activity'],
+  'active-minutes-low': ['activity', 'exercise'],
+  'calories-under': ['energy', 'calories'],
+  'calories-over': ['calories']
+};
+const ARTICLE_RECOMMENDATIONS = 3;
+
+const Articles = {
+  KEY: 'articleState',
+  list: [],
+  loading: null,
+
+  // fetches the content file once; resolves to the article list
+  load() {
+    if (!this.loading) {
+      this.loading = fetch(ARTICLES_URL)
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .then(data => {
+          this.list = (data.articles || []).filter(a => a && a.id && a.title && Array.isArray(a.body));
+          return this.list;
+        })
+        .catch(err => {
+          this.loading = null; // allow a retry
+          throw err;
+        });
+    }
+    return this.loading;
+  },
+  get(id) {
+    return this.list.find(a => a.id === id) || null;
+  },
+  // { bookmarks: [id], read: { id: ISO time first read } }
+  state() {
+    return Object.assign({ bookmarks: [], read: {} }, Storage.get(this.KEY, {}));
+  },
+  isBookmarked(id) {
+    return this.state().bookmarks.includes(id);
+  },
+  isRead(id) {
+    return !!this.state().read[id];
+  },
+  // returns the new bookmark state
+  toggleBookmark(id) {
+    const st = this.state();
+    const on = !st.bookmarks.includes(id);
+    st.bookmarks = on ? st.bookmarks.concat(id) : st.bookmarks.filter(b => b !== id);
+    Storage.set(this.KEY, st);
+    return on;
+  },
+  setRead(id, read = true) {
+    const st = this.state();
+    if (read && !st.read[id]) st.read[id] = new Date().toISOString();
+    if (!read) delete st.read[id];
+    Storage.set(this.KEY, st);
+  },
+  // every query word must appear somewhere; title and tag hits rank higher
+  search({ q = '', category = '', show = '' } = {}) {
+    const st = this.state();
+    const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+    return this.list
+      .filter(a => !category || a.category === category)
+      .filter(a => show !== 'bookmarked' || st.bookmarks.includes(a.id))
+      .filter(a => show !== 'unread' || !st.read[a.id])
+      .map(a => {
+        const fields = { title: a.title, tags: (a.tags || []).join(' '), summary: a.summary || '', body: a.body.join(' ') };
+        Object.keys(fields).forEach(k => { fields[k] = fields[k].toLowerCase(); });
+        let score = 0;
+        const all = terms.every(t => {
+          const hit = fields.title.includes(t) * 4 + fields.tags.includes(t) * 3 + fields.summary.includes(t) * 2 + fields.body.includes(t);
+          score += hit;
+          return hit > 0;
+        });
+        return all && { article: a, score };
+      })
+      .filter(Boolean)
+      .sort((x, y) => y.score - x.score || (y.article.published || '').localeCompare(x.article.published || ''))
+      .map(r => r.article);
+  },
+  // one article per flagged insight (alerts before tips), preferring unread ones
+  recommended(insights, limit = ARTICLE_RECOMMENDATIONS) {
+    const st = this.state();
+    const flagged = insights.filter(ins => ins.severity === 'alert').concat(insights.filter(ins => ins.severity === 'tip'));
+    const picks = [];
+    flagged.forEach(ins => {
+      const wanted = INSIGHT_ARTICLE_TAGS[ins.id] || [];
+      const best = this.list
+        .filter(a => !picks.some(p => p.article === a))
+        .map(a => ({ article: a, score: wanted.filter(t => (a.tags || []).includes(t)).length }))
+        .filter(r => r.score)
+        .sort((x, y) => !!st.read[x.article.id] - !!st.read[y.article.id] || y.score - x.score)[0];
+      if (best && picks.length < limit) picks.push({ article: best.article, reason: ins.rule });
+    });
+    return picks;
   }
-  tick();
-  setInterval(tick, 2500);
+};
+
+function articleMeta(a) {
+  const words = a.body.join(' ').split(/\s+/).length;
+  return `${ARTICLE_CATEGORIES[a.category] || a.category} · ${Math.max(1, Math.round(words / 200))} min read`;
 }
 
-/* ============================================================
-   Breathing / relaxation
-   ============================================================ */
-let breathInterval = null;
-function startBreathing(durationSec = 60, breathingElId = 'breathingCtl', progressElId = null) {
-  const el = document.getElementById(breathingElId);
-  const prog = progressElId ? document.getElementById(progressElId) : null;
-  if (!el) return;
-  if (breathInterval) clearInterval(breathInterval);
-  const start = Date.now();
-  el.textContent = 'Inhale';
-  let elapsed = 0;
-  breathInterval = setInterval(() => {
-    elapsed = Math.floor((Date.now() - start) / 1000);
-    if (elapsed >= durationSec) {
-      stopBreathing();
-      if (prog) prog.textContent = 'Completed';
-      logActivity('Completed breathing exercise');
+function renderArticleList() {
+  const list = document.getElementById('articleList');
+  if (!list || !Articles.list.length) return;
+  const filters = {
+    q: document.getElementById('articleSearch').value.trim(),
+    category: document.getElementById('articleCategory').value,
+    show: document.getElementById('articleShow').value
+  };
+  const found = Articles.search(filters);
+  list.innerHTML = found.map(a => `
+    <li class="article-item${Articles.isRead(a.id) ? ' article-read' : ''}" data-id="${escapeHtml(a.id)}">
+      <div style="flex:1">
+        <a href="#/articles/${encodeURIComponent(a.id)}"><strong>${escapeHtml(a.title)}</strong></a>
+        <div class="muted tiny">${escapeHtml(a.summary || '')}</div>
+        <div class="muted tiny">${escapeHtml(articleMeta(a))}${Articles.isRead(a.id) ? ' · read' : ''}</div>
+      </div>
+      <button class="btn-ghost" data-action="bookmark" aria-pressed="${Articles.isBookmarked(a.id)}"
+        aria-label="${Articles.isBookmarked(a.id) ? 'Remove bookmark' : 'Bookmark'}">${Articles.isBookmarked(a.id) ? '★' : '☆'}</button>
+    </li>`).join('') || '<li class="muted tiny">No articles match.</li>';
+  const count = document.getElementById('articleCount');
+  if (count) count.textContent = `${found.length} of ${Articles.list.length} articles`;
+}
+
+function renderArticleRecs(insights = generateInsightsObj().insights) {
+  const box = document.getElementById('articleRecs');
+  if (!box || !Articles.list.length) return;
+  const recs = Articles.recommended(insights);
+  box.innerHTML = recs.length
+    ? `<h4 style="margin:0 0 4px">Recommended for you</h4>` + recs.map(r => `
+      <div class="tiny" style="padding:3px 0">
+        <a href="#/articles/${encodeURIComponent(r.article.id)}">${escapeHtml(r.article.title)}</a>
+        <span class="muted"> — because of “${escapeHtml(r.reason)}”</span>
+      </div>`).join('')
+    : '';
+}
+
+/* list view for `null`, reading view otherwise; called by the router */
+function showArticle(id) {
+  const browse = document.getElementById('articleBrowse');
+  const view = document.getElementById('articleView');
+  if (!browse || !view) return;
+  browse.hidden = !!id;
+  view.hidden = !id;
+  if (!id) return;
+  view.innerHTML = '<div class="tiny muted">Loading…</div>';
+  Articles.load().then(() => {
+    const a = Articles.get(id);
+    if (!a) {
+      view.innerHTML = '<p class="muted">That article could not be found.</p><a href="#/articles">← All articles</a>';
       return;
     }
-    const cycle = elapsed % 6; // inhale 3s, exhale 3s
-    if (cycle < 3) {
-      el.style.transform = 'scale(1.08)';
-      el.textContent = 'Inhale';
-    } else {
-      el.style.transform = 'scale(0.86)';
-      el.textContent = 'Exhale';
-    }
-    if (prog) prog.textContent = `Breathing — ${elapsed}s / ${durationSec}s`;
-  }, 600);
+    const firstRead = !Articles.isRead(id);
+    Articles.setRead(id);
+    document.title = `${a.title} — HealthSync+`;
+    view.innerHTML = `
+      <a href="#/articles" class="tiny">← All articles</a>
+      <h3 style="margin:8px 0 4px">${escapeHtml(a.title)}</h3>
+      <div class="tiny muted">${escapeHtml(articleMeta(a))}${a.published ? ' · ' + new Date(a.published + 'T12:00').toLocaleDateString() : ''}</div>
+      <div class="article-body">${a.body.map(p => `<p>${escapeHtml(p)}</p>`).join('')}</div>
+      <div style="display:flex;gap:8px">
+        <button class="btn-ghost" data-action="bookmark">${Articles.isBookmarked(id) ? '★ Bookmarked' : '☆ Bookmark'}</button>
+        <button class="btn-ghost" data-action="unread">Mark as unread</button>
+      </div>`;
+    view.dataset.id = id;
+    renderArticleList();
+    renderArticleRecs();
+    if (firstRead) logActivity('Read article: ' + a.title, { type: 'articles.read', entityId: id });
+  }).catch(() => {
+    view.innerHTML = '<p class="muted">Articles are unavailable right now — check your connection and try again.</p><a href="#/articles">← All articles</a>';
+  });
 }
 
-function stopBreathing() {
-  if (breathInterval) clearInterval(breathInterval);
-  breathInterval = null;
-  const el = document.getElementById('breathingCtl');
-  if (el) { el.style.transform = 'scale(1)'; el.textContent = 'Breathe'; }
-  const prog = document.getElementById('breathingProgress');
-  if (prog) prog.textContent = 'Stopped';
+function initArticles() {
+  const list = document.getElementById('articleList');
+  if (!list) return;
+  const category = document.getElementById('articleCategory');
+  category.innerHTML = '<option value="">All topics</option>' +
+    Object.keys(ARTICLE_CATEGORIES).map(k => `<option value="${k}">${ARTICLE_CATEGORIES[k]}</option>`).join('');
+  document.getElementById('articleFilters').addEventListener('input', renderArticleList);
+
+  const toggleBookmark = id => {
+    const on = Articles.toggleBookmark(id);
+    const a = Articles.get(id);
+    logActivity(`${on ? 'Bookmarked' : 'Removed bookmark'}: ${a.title}`, { type: 'articles.bookmark', entityId: id });
+    renderArticleList();
+    return on;
+  };
+  list.addEventListener('click', e => {
+    const btn = e.target.closest('[data-action="bookmark"]');
+    if (btn) toggleBookmark(btn.closest('[data-id]').dataset.id);
+  });
+  const view = document.getElementById('articleView');
+  view.addEventListener('click', e => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const id = view.dataset.id;
+    if (btn.dataset.action === 'bookmark') {
+      btn.textContent = toggleBookmark(id) ? '★ Bookmarked' : '☆ Bookmark';
+    } else if (btn.dataset.action === 'unread') {
+      Articles.setRead(id, false);
+      renderArticleList();
+      renderArticleRecs();
+      Router.navigate('articles');
+    }
+  });
+
+  Articles.load().then(() => {
+    renderArticleList();
+    renderArticleRecs();
+  }).catch(err => {
+    console.warn('Articles unavailable', err);
+    list.innerHTML = '<li class="muted tiny">Articles are unavailable right now — check your connection and reload.</li>';
+  });
 }
 
 /* ============================================================
-   Water reminder + notification
+   Heart rate & vitals — manual readings, file import, age-based warnings
    ============================================================ */
-let waterTimerId = null;
-const chimeAudio = new Audio('https://actions.google.com/sounds/v1/alarms/medium_bell_ringing_near.ogg');
+/*
+ * A reading: { id, at (ISO), context: 'resting' | 'active' | 'other', hr (bpm),
+ * sys / dia (mmHg), spo2 (%), source: 'manual' | 'import' }. Any of hr, sys/dia
+ * and spo2 may be null; imported intraday samples are averaged into
+ * VITALS_BUCKET_MIN buckets so a day of tracker data stays small.
+ */
+const VITAL_CONTEXTS = { resting: 'Resting', active: 'Active', other: 'Other' };
+const VITAL_LIMITS = {
+  hr: { min: 25, max: 250 },
+  sys: { min: 60, max: 260 },
+  dia: { min: 30, max: 160 },
+  spo2: { min: 50, max: 100 }
+};
+const VITALS_BUCKET_MIN = 15;
+const VITALS_TREND_DAYS = 30;
+let hrChart = null;
 
-function requestNotificationPermission() {
-  if (!('Notification' in window)) return Promise.resolve(false);
-  if (Notification.permission === 'granted') return Promise.resolve(true);
-  if (Notification.permission !== 'denied') return Notification.requestPermission().then(p => p === 'granted');
-  return Promise.resolve(false);
+/* typical resting range by age; children run faster */
+function restingHrRange(age) {
+  if (age && age < 10) return { low: 70, high: 120 };
+  if (age && age < 18) return { low: 60, high: 105 };
+  return { low: 50, high: 100 };
 }
 
-function showNotification(title, body) {
-  if (!('Notification' in window)) return;
-  if (Notification.permission === 'granted') {
-    try {
-      new Notification(title, { body });
-    } catch (e) {
-      console.warn('Notification failed', e);
+/* [{ level: 'warn' | 'urgent', text }] for anything outside the usual range */
+function vitalWarnings(r, profile = Profile.get()) {
+  const out = [];
+  if (r.hr) {
+    if (r.context === 'resting') {
+      const range = restingHrRange(profile.age);
+      if (r.hr > range.high) out.push({ level: r.hr >= 130 ? 'urgent' : 'warn', text: `Resting heart rate of ${r.hr} bpm is above the usual ${range.low}–${range.high} bpm.` });
+      else if (r.hr < range.low) out.push({ level: r.hr < 40 ? 'urgent' : 'warn', text: `Resting heart rate of ${r.hr} bpm is below the usual ${range.low}–${range.high} bpm.` });
+    } else {
+      // active and other (e.g. intraday tracker samples) readings can only be too high for age
+      const max = profile.age ? 220 - profile.age : null;
+      if (max && r.hr > max) out.push({ level: 'warn', text: `${r.hr} bpm is above the estimated maximum of ${max} bpm for age ${profile.age}.` });
     }
   }
+  if (r.sys && r.dia) {
+    if (r.sys >= 180 || r.dia >= 120) out.push({ level: 'urgent', text: `Blood pressure ${r.sys}/${r.dia} is very high.` });
+    else if (r.sys >= 140 || r.dia >= 90) out.push({ level: 'warn', text: `Blood pressure ${r.sys}/${r.dia} is high.` });
+    else if (r.sys < 90 || r.dia < 60) out.push({ level: 'warn', text: `Blood pressure ${r.sys}/${r.dia} is low.` });
+  }
+  if (r.spo2) {
+    if (r.spo2 < 90) out.push({ level: 'urgent', text: `Oxygen saturation of ${r.spo2}% is very low.` });
+    else if (r.spo2 < 95) out.push({ level: 'warn', text: `Oxygen saturation of ${r.spo2}% is below the usual 95–100%.` });
+  }
+  return out;
 }
 
-function startWaterReminders() {
-  if (waterTimerId) return;
-  // play immediately then repeat (or show an alert immediately for better demo UX)
-  function fireReminder() {
-    // audio
-    chimeAudio.play().catch(() => { /* ignore play failures */ });
-    // show browser notification if permitted
-    showNotification('HealthSync+', 'Time to drink water 💧');
-    // fallback alert for visibility
-    try { alert('Time to drink water 💧'); } catch (e) { /* ignore */ }
-    logActivity('Water reminder fired');
-  }
-
-  // fire the first reminder now to show effect, then schedule next
-  fireReminder();
-  waterTimerId = setInterval(fireReminder, CONFIG.WATER_REMINDER_INTERVAL);
-  logActivity('Water reminders started');
-  // ask for notification permission for future reminders
-  requestNotificationPermission();
-}
+const Vitals = {
+  KEY: 'vitals',
 
-function stopWaterReminders() {
-  if (!waterTimerId) return;
-  clearInterval(waterTimerId);
-  waterTimerId = null;
-  logActivity('Water reminders stopped');
-}
+  // oldest first; entries without a time (from a damaged backup or sync) are skipped
+  all() {
+    return Storage.get(this.KEY, []).filter(r => r && typeof r.at === 'string').sort((a, b) => a.at.localeCompare(b.at));
+  },
+  add(fields) {
+    const entry = Object.assign({ id: uid('v'), context: 'resting', hr: null, sys: null, dia: null, spo2: null, source: 'manual' }, fields);
+    Storage.set(this.KEY, Storage.get(this.KEY, []).concat(entry));
+    return entry;
+  },
+  remove(id) {
+    const list = Storage.get(this.KEY, []);
+    const removed = list.find(r => r.id === id) || null;
+    Storage.set(this.KEY, list.filter(r => r.id !== id));
+    return removed;
+  },
+  restore(entry) {
+    const list = Storage.get(this.KEY, []);
+    if (!list.some(r => r.id === entry.id)) Storage.set(this.KEY, list.concat(entry));
+  },
+  // newest reading that has `field`
+  latest(field = 'hr') {
+    return this.all().filter(r => r[field]).pop() || null;
+  },
+  // mean resting heart rate per day, oldest first
+  restingByDay(days = VITALS_TREND_DAYS, end = new Date()) {
+    const byDay = {};
+    this.all().filter(r => r.hr && r.context === 'resting').forEach(r => {
+      (byDay[dateKey(new Date(r.at))] = byDay[dateKey(new Date(r.at))] || []).push(r.hr);
+    });
+    return DailyRecords.range(days, end).map(({ date, day }) => {
+      const list = byDay[date];
+      return { date, day, hr: list ? Math.round(list.reduce((a, b) => a + b, 0) / list.length) : null };
+    });
+  },
+  // samples: [{ at: Date, hr, context }]; returns how many readings were added
+  importSamples(samples) {
+    const buckets = {};
+    samples.forEach(s => {
+      if (!(s.hr >= VITAL_LIMITS.hr.min && s.hr <= VITAL_LIMITS.hr.max) || isNaN(s.at)) return;
+      const t = new Date(s.at);
+      t.setMinutes(t.getMinutes() - t.getMinutes() % VITALS_BUCKET_MIN, 0, 0);
+      const key = `${t.toISOString()}|${s.context}`;
+      (buckets[key] = buckets[key] || { at: t.toISOString(), context: s.context, values: [] }).values.push(s.hr);
+    });
+    const list = Storage.get(this.KEY, []);
+    const seen = new Set(list.map(r => `${r.at}|${r.context}`));
+    const added = Object.keys(buckets).filter(k => !seen.has(k)).map(k => {
+      const b = buckets[k];
+      return { id: uid('v'), at: b.at, context: b.context, hr: Math.round(b.values.reduce((a, c) => a + c, 0) / b.values.length), sys: null, dia: null, spo2: null, source: 'import' };
+    });
+    Storage.set(this.KEY, list.concat(added));
+    return added.length;
+  }
+};
 
-/* ============================================================
-   Hydration challenge progress UI
-   ============================================================ */
-function updateHydrationProgressUI() {
-  const value = Storage.get('challengeHydration', 3);
-  const pct = Math.min(100, Math.round((value / 7) * 100));
-  const el = document.getElementById('hydrationProgress');
-  const el2 = document.getElementById('challengeProg');
-  if (el) el.style.width = pct + '%';
-  if (el2) el2.style.width = pct + '%';
+/* "2026-10-19 07:30", ISO strings and Fitbit's "10/19/26 07:30:00" or "2026-10-19 11:04PM" */
+function parseImportTime(value) {
+  const v = String(value || '').trim();
+  const ampm = v.match(/^(.*\d)\s*([AP]M)$/i);
+  if (ampm) {
+    const d = parseImportTime(ampm[1]);
+    d.setHours(d.getHours() % 12 + (/p/i.test(ampm[2]) ? 12 : 0));
+    return d;
+  }
+  const us = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (us) {
+    const year = us[3].length === 2 ? 2000 + Number(us[3]) : Number(us[3]);
+    return new Date(year, us[1] - 1, us[2], us[4] || 0, us[5] || 0, us[6] || 0);
+  }
+  // local date / date-time without a zone; `new Date` would read a bare date as UTC
+  const local = v.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (local) return new Date(local[1], local[2] - 1, local[3], local[4] || 0, local[5] || 0, local[6] || 0);
+  return new Date(v);
 }
 
-function initChallengeButtons() {
-  const joinBtn = document.getElementById('joinChallenge');
-  if (joinBtn) joinBtn.addEventListener('click', () => {
-    Storage.set('challengeHydration', Storage.get('challengeHydration', 0) + 1);
-    updateHydrationProgressUI();
-    logActivity('Joined hydration challenge (demo action)');
-  });
-
-  const logGlassBtn = document.getElementById('logGlass');
-  if (logGlassBtn) logGlassBtn.addEventListener('click', () => {
-    const v = Storage.get('challengeHydration', 0) + 1;
-    Storage.set('challengeHydration', v);
-    const waterCount = Math.min(8, Storage.get('waterCount', 0) + 1);
-    Storage.set('waterCount', waterCount);
-    updateHydrationProgressUI();
-    renderInsights();
-    logActivity('Logged a glass of water');
+/* heart-rate samples from a CSV (time + bpm columns) or a Fitbit heart_rate / resting_heart_rate JSON export */
+function parseHeartRateFile(name, text) {
+  if (/\.json$/i.test(name) || /^\s*[[{]/.test(text)) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error('Expected a list of heart-rate entries.');
+    return data.map(d => {
+      const v = d.value || {};
+      // resting_heart_rate files carry { date, value } per day, heart_rate files { bpm } per sample
+      if (v.bpm !== undefined) return { at: parseImportTime(d.dateTime), hr: Number(v.bpm), context: 'other' };
+      return { at: parseImportTime(v.date || d.dateTime), hr: Math.round(Number(v.value)), context: 'resting' };
+    }).filter(s => s.hr > 0);
+  }
+  const rows = parseCsv(text);
+  const header = (rows.shift() || []).map(h => h.toLowerCase());
+  const col = re => header.findIndex(h => re.test(h));
+  const timeCol = col(/time|date/);
+  const hrCol = col(/heart|bpm|^hr$|pulse|value/);
+  const ctxCol = col(/context|type|state/);
+  if (timeCol === -1 || hrCol === -1) throw new Error('The CSV needs a time column and a heart rate (bpm) column.');
+  return rows.filter(r => r.length > hrCol).map(r => {
+    const ctx = ctxCol === -1 ? '' : (r[ctxCol] || '').toLowerCase();
+    return { at: parseImportTime(r[timeCol]), hr: Math.round(Number(r[hrCol])), context: VITAL_CONTEXTS[ctx] ? ctx : ctx.includes('rest') ? 'resting' : 'other' };
   });
 }
 
-/* ============================================================
-   BMI & Calorie Calculator
-   ============================================================ */
-function initBMICalculator() {
-  const calcBtn = document.getElementById('calcBtn');
-  const clearBtn = document.getElementById('clearCalc');
+function formatVitals(r) {
+  return [
+    r.hr ? `${r.hr} bpm` : '',
+    r.sys && r.dia ? `BP ${r.sys}/${r.dia}` : '',
+    r.spo2 ? `SpO₂ ${r.spo2}%` : ''
+  ].filter(Boolean).join(' · ');
+}
 
-  if (calcBtn) calcBtn.addEventListener('click', () => {
-    const h = parseFloat(document.getElementById('heightInput').value);
-    const w = parseFloat(document.getElementById('weightInput').value);
-    const activity = parseFloat(document.getElementById('activityLevel').value) || 1.2;
-    const res = document.getElementById('bmiResult');
-    if (!h || !w) {
-      if (res) res.textContent = 'Enter height and weight.';
-      return;
-    }
-    const bmi = tidyNumber((w / ((h / 100) * (h / 100))), 1);
-    let category = 'Normal';
-    if (bmi < 18.5) category = 'Underweight';
-    else if (bmi < 25) category = 'Normal';
-    else if (bmi < 30) category = 'Overweight';
-    else category = 'Obese';
+/* "5 min ago", "3 h ago", else the date */
+function timeAgo(iso) {
+  const min = Math.round((Date.now() - new Date(iso)) / 60000);
+  if (min < 1) return 'just now';
+  if (min < 60) return `${min} min ago`;
+  if (min < 24 * 60) return `${Math.round(min / 60)} h ago`;
+  return new Date(iso).toLocaleDateString();
+}
 
-    // Simple BMR (Mifflin-St Jeor) - genderless demo: assume 25yo male (for demo only)
-    const age = Storage.get('demoAge', 25);
-    const bmr = Math.round(10 * w + 6.25 * h - 5 * age + 5);
-    const calories = Math.round(bmr * activity);
-    if (res) res.innerHTML = `BMI: <strong>${bmi}</strong> — ${category}. Estimated daily calories: <strong>${calories}</strong> kcal (approx).`;
-    logActivity(`BMI calculated: ${bmi} (${category})`);
-  });
+/* the dashboard heart shows the latest real reading, beating at that rate */
+function renderHeartWidget() {
+  const el = document.getElementById('heartBeat');
+  if (!el) return;
+  const r = Vitals.latest('hr');
+  const when = document.getElementById('heartTime');
+  el.textContent = r ? r.hr : '—';
+  el.classList.toggle('heart-idle', !r);
+  el.style.animationDuration = r ? `${tidyNumber(60 / r.hr, 2)}s` : '';
+  el.title = r ? new Date(r.at).toLocaleString() : '';
+  if (when) when.textContent = r ? `${VITAL_CONTEXTS[r.context]} · ${timeAgo(r.at)}` : 'No readings yet';
+}
 
-  if (clearBtn) clearBtn.addEventListener('click', () => {
-    document.getElementById('heightInput').value = '';
-    document.getElementById('weightInput').value = '';
-    document.getElementById('bmiResult').textContent = '';
-  });
+function renderVitals() {
+  renderHeartWidget();
+  const list = document.getElementById('vitalsList');
+  if (!list) return;
+  const p = Profile.get();
+  const readings = Vitals.all().reverse();
+  list.innerHTML = readings.slice(0, 10).map(r => {
+    const warn = vitalWarnings(r, p);
+    return `<li class="vital-item" data-id="${escapeHtml(r.id)}">
+      <span><strong>${escapeHtml(formatVitals(r))}</strong>
+        <span class="tiny muted">${VITAL_CONTEXTS[r.context] || VITAL_CONTEXTS.other} · ${new Date(r.at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}${r.source === 'import' ? ' · imported' : ''}</span>
+        ${warn.length ? `<span class="tiny vital-warn vital-${warn.some(w => w.level === 'urgent') ? 'urgent' : 'warn'}">⚠ ${escapeHtml(warn.map(w => w.text).join(' '))}</span>` : ''}
+      </span>
+      <button class="btn-ghost" data-action="delete" aria-label="Delete reading">×</button>
+    </li>`;
+  }).join('') || '<li class="tiny muted">No readings yet.</li>';
+
+  const trend = Vitals.restingByDay();
+  const logged = trend.filter(d => d.hr);
+  const range = restingHrRange(p.age);
+  const summary = document.getElementById('vitalsSummary');
+  if (summary) {
+    const bp = Vitals.latest('sys');
+    const spo2 = Vitals.latest('spo2');
+    summary.innerHTML = `
+      <div>Resting HR (${VITALS_TREND_DAYS} days): <strong>${logged.length ? Math.round(logged.reduce((a, d) => a + d.hr, 0) / logged.length) + ' bpm' : '—'}</strong>
+        <span class="muted">usual ${range.low}–${range.high} bpm${p.age ? '' : ' (set your age in Profile for a personal range)'}</span></div>
+      <div>Latest BP: <strong>${bp ? `${bp.sys}/${bp.dia}` : '—'}</strong> · Latest SpO₂: <strong>${spo2 ? spo2.spo2 + '%' : '—'}</strong></div>`;
+  }
+  if (hrChart) {
+    hrChart.data.labels = trend.map(d => d.day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }));
+    hrChart.data.datasets[0].data = trend.map(d => d.hr);
+    hrChart.update();
+  }
 }
 
-/* ============================================================
-   Symptom checker (simulated)
-   ============================================================ */
-function initSymptomChecker() {
-  const btn = document.getElementById('checkSymptom');
-  if (!btn) return;
-  btn.addEventListener('click', () => {
-    const s = document.getElementById('symptomSel').value;
-    const box = document.getElementById('symptomAdvice');
-    if (!s) {
-      if (box) box.textContent = 'Choose a symptom to get simulated advice.';
-      return;
-    }
-    let txt = '';
-    switch (s) {
-      case 'Headache':
-        txt = 'Headache → consider hydration, eye breaks, and rest; if severe or persistent, consult a doctor.';
-        break;
-      case 'Fatigue':
-        txt = 'Fatigue → ensure 7–8 hrs sleep, balanced diet; consider checking iron levels if persistent.';
-        break;
-      case 'Cough':
-        txt = 'Cough → rest, fluids, monitor for fever; seek care if breathing difficulty.';
-        break;
-      case 'Stomach ache':
-        txt = 'Stomach ache → try bland foods and rest; see a clinician if severe or prolonged.';
-        break;
-      case 'Back pain':
-        txt = 'Back pain → gentle stretches and posture correction; seek physiotherapy if ongoing.';
-        break;
-      default:
-        txt = 'No advice available for that symptom in demo.';
+function readVitalsForm(form) {
+  const f = form.elements;
+  const num = el => (el.validity && el.validity.badInput ? NaN : el.value.trim() === '' ? null : Number(el.value));
+  const at = new Date(f.at.value);
+  if (isNaN(at) || at > new Date()) return { error: 'Pick a time that is not in the future.', field: f.at };
+  const fields = { at: at.toISOString(), context: f.context.value };
+  for (const key of Object.keys(VITAL_LIMITS)) {
+    const v = num(f[key]);
+    const lim = VITAL_LIMITS[key];
+    if (v !== null && (!Number.isInteger(v) || v < lim.min || v > lim.max)) {
+      return { error: `${f[key].dataset.label} must be a whole number from ${lim.min} to ${lim.max}.`, field: f[key] };
     }
-    if (box) box.textContent = txt;
-    logActivity('Symptom checked: ' + s);
-  });
+    fields[key] = v;
+  }
+  if ((fields.sys === null) !== (fields.dia === null)) return { error: 'Enter both blood pressure numbers, or neither.', field: fields.sys === null ? f.sys : f.dia };
+  if (fields.sys !== null && fields.sys <= fields.dia) return { error: 'Systolic (top) should be higher than diastolic (bottom).', field: f.sys };
+  if (fields.hr === null && fields.sys === null && fields.spo2 === null) return { error: 'Enter a heart rate, blood pressure or SpO₂.', field: f.hr };
+  return { fields };
 }
 
-/* ============================================================
-   Motivational quotes rotation
-   ============================================================ */
-const QUOTES = [
-  "Health is the greatest wealth.",
-  "Consistency beats intensity.",
+function onVitalsChanged() {
+  renderVitals();
+  renderInsights();
+}
+
+function initVitals() {
+  renderHeartWidget();
+  // keep "5 min ago" current
+  setInterval(renderHeartWidget, 60 * 1000);
+  const heart = document.getElementById('heartBeat');
+  if (heart) {
+    heart.addEventListener('click', () => Router.navigate('dashboard/heart'));
+    heart.addEventListener('keydown', e => { if (e.key === 'Enter') Router.navigate('dashboard/heart'); });
+  }
+
+  const form = document.getElementById('vitalsForm');
+  if (!form) return;
+  const msg = document.getElementById('vitalsMsg');
+  form.elements.at.value = localDateTimeValue();
+
+  const canvas = document.getElementById('hrChart');
+  if (canvas && typeof Chart !== 'undefined') {
+    hrChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: { labels: [], datasets: [{ label: 'Resting HR (bpm)', data: [], tension: 0.3, spanGaps: true, borderColor: '#ff3d6a' }] },
+      options: { plugins: { legend: { display: false } }, scales: { y: { beginAtZero: false } } }
+    });
+  } else if (canvas) {
+    chartFallback(canvas);
+  }
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const res = readVitalsForm(form);
+    if (res.error) {
+      msg.textContent = res.error;
+      msg.style.color = '#d97706';
+      res.field.focus();
+      return;
+    }
+    const entry = Vitals.add(res.fields);
+    const warn = vitalWarnings(entry);
+    msg.textContent = warn.length ? '⚠ ' + warn.map(w => w.text).join(' ') + (warn.some(w => w.level === 'urgent') ? ' If you feel unwell, seek medical help now.' : ' Consider re-measuring, and talk to a clinician if it persists.') : 'Reading saved.';
+    msg.style.color = warn.length ? '#d97706' : '#059669';
+    ['hr', 'sys', 'dia', 'spo2'].forEach(k => { form.elements[k].value = ''; });
+    form.elements.at.value = localDateTimeValue();
+    onVitalsChanged();
+    logActivity(`Vitals logged: ${formatVitals(entry)} (${VITAL_CONTEXTS[entry.context].toLowerCase()})`, { type: 'vitals.add', entityId: entry.id });
+  });
+
+  document.getElementById('vitalsList').addEventListener('click', e => {
+    const btn = e.target.closest('[data-action="delete"]');
+    if (!btn) return;
+    const removed = Vitals.remove(btn.closest('[data-id]').dataset.id);
+    if (!removed) return;
+    onVitalsChanged();
+    logActivity('Vitals reading deleted: ' + formatVitals(removed), { type: 'vitals.delete', entityId: removed.id });
+    showToast('Reading deleted.', {
+      actions: [{ label: 'Undo', onClick: () => {
+        Vitals.restore(removed);
+        onVitalsChanged();
+        logActivity('Vitals reading restored: ' + formatVitals(removed), { type: 'vitals.restore', entityId: removed.id });
+      } }]
+    });
+  });
+
+  document.getElementById('hrImport').addEventListener('change', e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let added;
+      try {
+        added = Vitals.importSamples(parseHeartRateFile(file.name, reader.result));
+      } catch (err) {
+        msg.textContent = `Could not import ${file.name}: ${err.message}`;
+        msg.style.color = '#d97706';
+        return;
+      }
+      msg.textContent = added ? `Imported ${added} readings from ${file.name}.` : `No new readings found in ${file.name}.`;
+      msg.style.color = added ? '#059669' : '#6b7280';
+      onVitalsChanged();
+      if (added) logActivity(`Imported ${added} heart-rate readings (${file.name})`, { type: 'vitals.import' });
+    };
+    reader.readAsText(file);
+  });
+
+  renderVitals();
+}
+
+/* ============================================================
+   Breathing / relaxation — guided patterns and session history
+   ============================================================ */
+/*
+ * A pattern is a list of phases ({ type: 'inhale' | 'hold' | 'exhale', sec }).
+ * One session runs at a time; every [data-breath-ball] / [data-breath-status]
+ * on the page follows it, driven by requestAnimationFrame.
+ */
+const BREATHING_PATTERNS = {
+  box: { name: 'Box 4-4-4-4', phases: [{ type: 'inhale', sec: 4 }, { type: 'hold', sec: 4 }, { type: 'exhale', sec: 4 }, { type: 'hold', sec: 4 }] },
+  relax478: { name: '4-7-8 relaxing', phases: [{ type: 'inhale', sec: 4 }, { type: 'hold', sec: 7 }, { type: 'exhale', sec: 8 }] },
+  coherent: { name: 'Coherent 5.5', phases: [{ type: 'inhale', sec: 5.5 }, { type: 'exhale', sec: 5.5 }] },
+  simple: { name: 'Simple 3-3', phases: [{ type: 'inhale', sec: 3 }, { type: 'exhale', sec: 3 }] },
+  custom: { name: 'Custom', phases: null }
+};
+const BREATH_SCALE = { min: 0.86, max: 1.08 };
+const BREATH_LABELS = { inhale: 'Inhale', hold: 'Hold', exhale: 'Exhale' };
+// sessions at least this long (or completed) tick the meditation checklist item
+const MEDITATE_MIN_SEC = 60;
+
+const Breathing = {
+  KEY: 'breathing',
+  SESSIONS_KEY: 'breathingSessions',
+  DEFAULTS: { pattern: 'box', durationSec: 120, custom: { inhale: 4, holdIn: 2, exhale: 6, holdOut: 0 }, sound: false, vibrate: false },
+  session: null, // { pattern, phases, durationSec, start, frameId, phaseIndex }
+
+  settings() {
+    const saved = Storage.get(this.KEY, {});
+    return Object.assign({}, this.DEFAULTS, saved, { custom: Object.assign({}, this.DEFAULTS.custom, saved.custom) });
+  },
+  saveSettings(patch) {
+    Storage.set(this.KEY, Object.assign(this.settings(), patch));
+  },
+  phases(st = this.settings()) {
+    const pattern = BREATHING_PATTERNS[st.pattern] || BREATHING_PATTERNS.box;
+    if (pattern.phases) return pattern.phases;
+    const c = st.custom;
+    return [{ type: 'inhale', sec: c.inhale }, { type: 'hold', sec: c.holdIn }, { type: 'exhale', sec: c.exhale }, { type: 'hold', sec: c.holdOut }]
+      .filter(p => p.sec > 0);
+  },
+  sessions() {
+    return Storage.get(this.SESSIONS_KEY, []);
+  },
+
+  start() {
+    this.stop(false);
+    const st = this.settings();
+    // each phase carries the ball size it starts and ends at, so holds stay put
+    let level = BREATH_SCALE.min;
+    const phases = this.phases(st).map(p => {
+      const from = level;
+      level = p.type === 'inhale' ? BREATH_SCALE.max : p.type === 'exhale' ? BREATH_SCALE.min : level;
+      return Object.assign({ from, to: level }, p);
+    });
+    this.session = { pattern: st.pattern, phases, durationSec: st.durationSec, sound: st.sound, vibrate: st.vibrate, start: performance.now(), phaseIndex: -1 };
+    this.frame = this.frame.bind(this);
+    this.session.frameId = requestAnimationFrame(this.frame);
+  },
+
+  frame(now) {
+    const s = this.session;
+    if (!s) return;
+    const elapsed = (now - s.start) / 1000;
+    if (elapsed >= s.durationSec) return this.finish(true);
+
+    const cycle = s.phases.reduce((sum, p) => sum + p.sec, 0);
+    let t = elapsed % cycle;
+    let i = 0;
+    while (t >= s.phases[i].sec) t -= s.phases[i++].sec;
+    const phase = s.phases[i];
+    if (i !== s.phaseIndex) {
+      s.phaseIndex = i;
+      this.cue(s);
+    }
+    // ease in-out between the phase's start and end size
+    const k = (1 - Math.cos(Math.PI * t / phase.sec)) / 2;
+    const scale = phase.from + (phase.to - phase.from) * k;
+    const status = `${BREATH_LABELS[phase.type]} · ${Math.ceil(phase.sec - t)} — ${Math.floor(elapsed)}s / ${s.durationSec}s`;
+    renderBreathing(BREATH_LABELS[phase.type], scale, status);
+    s.frameId = requestAnimationFrame(this.frame);
+  },
+
+  // optional sound / vibration on each phase change
+  cue(s) {
+    if (s.vibrate && navigator.vibrate) navigator.vibrate(60);
+    if (!s.sound) return;
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    if (!this.audio) this.audio = new Ctx();
+    const osc = this.audio.createOscillator();
+    const gain = this.audio.createGain();
+    osc.frequency.value = s.phases[s.phaseIndex].type === 'exhale' ? 392 : 523;
+    gain.gain.setValueAtTime(0.12, this.audio.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, this.audio.currentTime + 0.4);
+    osc.connect(gain).connect(this.audio.destination);
+    osc.start();
+    osc.stop(this.audio.currentTime + 0.4);
+  },
+
+  finish(completed) {
+    const s = this.session;
+    if (!s) return null;
+    cancelAnimationFrame(s.frameId);
+    this.session = null;
+    const seconds = Math.min(s.durationSec, Math.round((performance.now() - s.start) / 1000));
+    const entry = { id: uid('b'), at: new Date().toISOString(), pattern: s.pattern, plannedSec: s.durationSec, seconds, completed };
+    Storage.set(this.SESSIONS_KEY, this.sessions().concat(entry).slice(-200));
+    if (completed || seconds >= MEDITATE_MIN_SEC) {
+      DailyRecords.updateToday(rec => ({ checks: Object.assign(rec.checks, { meditate: true }) }));
+    }
+    onBreathingSessionEnded(entry);
+    return entry;
+  },
+  // `record` false just cancels (e.g. when a new session replaces the old one)
+  stop(record = true) {
+    if (!this.session) return null;
+    if (record) return this.finish(false);
+    cancelAnimationFrame(this.session.frameId);
+    this.session = null;
+    return null;
+  },
+
+  // totals for the mental-health stats
+  stats(days = 7) {
+    const since = dateKey(addDays(new Date(), -(days - 1)));
+    const recent = this.sessions().filter(e => dateKey(new Date(e.at)) >= since);
+    const today = recent.filter(e => dateKey(new Date(e.at)) === dateKey());
+    const minutes = list => Math.round(list.reduce((sum, e) => sum + e.seconds, 0) / 60);
+    return { todayMin: minutes(today), weekSessions: recent.length, weekMin: minutes(recent), completed: recent.filter(e => e.completed).length };
+  }
+};
+
+function formatBreathLength(sec) {
+  return sec < 60 ? `${sec}s` : `${tidyNumber(sec / 60, 1)} min`;
+}
+
+function renderBreathing(label, scale, status) {
+  document.querySelectorAll('[data-breath-ball]').forEach(el => {
+    el.style.transform = `scale(${scale.toFixed(3)})`;
+    if (el.textContent !== label) el.textContent = label;
+  });
+  document.querySelectorAll('[data-breath-status]').forEach(el => {
+    if (el.textContent !== status) el.textContent = status;
+  });
+}
+
+function startBreathing() {
+  Breathing.start();
+  const st = Breathing.settings();
+  logActivity(`Started breathing: ${BREATHING_PATTERNS[st.pattern].name}, ${Math.round(st.durationSec / 60)} min`, { type: 'breathing.start' });
+}
+
+function stopBreathing() {
+  Breathing.stop();
+}
+
+function onBreathingSessionEnded(entry) {
+  const length = formatBreathLength(entry.seconds);
+  renderBreathing('Breathe', 1, entry.completed ? 'Completed' : `Stopped after ${length}`);
+  logActivity(`${entry.completed ? 'Completed' : 'Stopped'} breathing exercise (${BREATHING_PATTERNS[entry.pattern].name}, ${length})`, { type: 'breathing.end' });
+  renderChecklist();
+  renderChallenges();
+  renderBreathingStats();
+  renderInsights();
+}
+
+function renderBreathingStats() {
+  const el = document.getElementById('breathingStats');
+  if (!el) return;
+  const st = Breathing.stats();
+  const last = Breathing.sessions().slice(-3).reverse();
+  el.innerHTML = `<div>Today: <strong>${st.todayMin} min</strong> · Last 7 days: ${st.weekSessions} sessions, ${st.weekMin} min (${st.completed} completed)</div>` +
+    last.map(e => `<div class="muted">${new Date(e.at).toLocaleString()} — ${escapeHtml(BREATHING_PATTERNS[e.pattern].name)}, ${formatBreathLength(e.seconds)} ${e.completed ? '✓' : '(stopped)'}</div>`).join('');
+}
+
+function renderBreathingSettings() {
+  const form = document.getElementById('breathingForm');
+  if (!form) return;
+  const st = Breathing.settings();
+  form.elements.pattern.value = st.pattern;
+  form.elements.durationSec.value = String(st.durationSec);
+  Object.keys(st.custom).forEach(k => { form.elements[k].value = st.custom[k]; });
+  form.elements.sound.checked = st.sound;
+  form.elements.vibrate.checked = st.vibrate;
+  document.getElementById('breathingCustom').style.display = st.pattern === 'custom' ? '' : 'none';
+}
+
+function initBreathing() {
+  const form = document.getElementById('breathingForm');
+  if (form) {
+    form.elements.pattern.innerHTML = Object.keys(BREATHING_PATTERNS).map(k =>
+      `<option value="${k}">${BREATHING_PATTERNS[k].name}</option>`).join('');
+    form.addEventListener('change', () => {
+      const sec = name => Math.min(20, Math.max(0, tidyNumber(parseFloat(form.elements[name].value) || 0, 1)));
+      const custom = { inhale: Math.max(1, sec('inhale')), holdIn: sec('holdIn'), exhale: Math.max(1, sec('exhale')), holdOut: sec('holdOut') };
+      Breathing.saveSettings({
+        pattern: form.elements.pattern.value,
+        durationSec: parseInt(form.elements.durationSec.value, 10),
+        custom,
+        sound: form.elements.sound.checked,
+        vibrate: form.elements.vibrate.checked
+      });
+      renderBreathingSettings();
+    });
+    renderBreathingSettings();
+  }
+  ['startBreath', 'startBreath2'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', startBreathing);
+  });
+  ['stopBreath', 'stopBreath2'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', stopBreathing);
+  });
+  renderBreathingStats();
+}
+
+/* ============================================================
+   Water reminder + notification
+   ============================================================ */
+let reminderTimerId = null;
+let chimeAudio = null;
+
+function requestNotificationPermission() {
+  if (!('Notification' in window)) return Promise.resolve(false);
+  if (Notification.permission === 'granted') return Promise.resolve(true);
+  if (Notification.permission !== 'denied') return Notification.requestPermission().then(p => p === 'granted');
+  return Promise.resolve(false);
+}
+
+function showNotification(title, body) {
+  if (!('Notification' in window)) return;
+  if (Notification.permission === 'granted') {
+    try {
+      new Notification(title, { body });
+    } catch (e) {
+      console.warn('Notification failed', e);
+    }
+  }
+}
+
+/* minutes since midnight for a Date or an "HH:MM" string */
+function minutesOfDay(t) {
+  if (t instanceof Date) return t.getHours() * 60 + t.getMinutes();
+  const [h, m] = t.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/*
+ * Reminder settings and schedule are persisted, so a reload picks up at the
+ * stored `nextAt` instead of starting over. Quiet hours default to the
+ * profile's bedtime → wake time.
+ */
+const WaterReminders = {
+  KEY: 'waterReminders',
+  DEFAULTS: {
+    enabled: false,
+    intervalMin: CONFIG.WATER_REMINDER_INTERVAL / 60000,
+    quietStart: null,
+    quietEnd: null,
+    days: [0, 1, 2, 3, 4, 5, 6], // active weekdays, 0 = Sunday
+    skipIfLoggedMin: 30,
+    snoozeMin: 15,
+    nextAt: null,
+    lastDrinkAt: null
+  },
+
+  get() {
+    const st = Object.assign({}, this.DEFAULTS, Storage.get(this.KEY, {}));
+    const p = Profile.get();
+    return Object.assign(st, { quietStart: st.quietStart || p.sleepTime, quietEnd: st.quietEnd || p.wakeTime });
+  },
+  save(patch) {
+    const next = Object.assign(Storage.get(this.KEY, {}), patch);
+    Storage.set(this.KEY, next);
+    return this.get();
+  },
+  inQuietHours(d, st = this.get()) {
+    const t = minutesOfDay(d);
+    const from = minutesOfDay(st.quietStart);
+    const to = minutesOfDay(st.quietEnd);
+    if (from === to) return false;
+    return from < to ? t >= from && t < to : t >= from || t < to;
+  },
+  allowed(d, st = this.get()) {
+    return st.days.includes(d.getDay()) && !this.inQuietHours(d, st);
+  },
+  // first allowed moment at or after `from` (15-minute steps, up to a week ahead)
+  nextAllowed(from, st = this.get()) {
+    let d = new Date(from);
+    for (let i = 0; i < 7 * 24 * 4 && !this.allowed(d, st); i++) {
+      d = new Date(d.getTime() + 15 * 60000);
+      d.setMinutes(Math.floor(d.getMinutes() / 15) * 15, 0, 0);
+    }
+    return d;
+  },
+  scheduleFrom(from, st = this.get()) {
+    const next = this.nextAllowed(new Date(from.getTime() + st.intervalMin * 60000), st);
+    return this.save({ nextAt: next.toISOString() });
+  },
+  start() {
+    this.save({ enabled: true });
+    this.scheduleFrom(new Date());
+    this.run();
+  },
+  stop() {
+    this.save({ enabled: false, nextAt: null });
+    if (reminderTimerId) clearInterval(reminderTimerId);
+    reminderTimerId = null;
+  },
+  snooze(min = this.get().snoozeMin) {
+    this.save({ nextAt: new Date(Date.now() + min * 60000).toISOString() });
+    renderReminderStatus();
+  },
+  // called whenever water is logged; the next reminder counts from this drink
+  noteDrink() {
+    const st = this.save({ lastDrinkAt: new Date().toISOString() });
+    if (st.enabled) this.scheduleFrom(new Date());
+    renderReminderStatus();
+  },
+  run() {
+    if (reminderTimerId) clearInterval(reminderTimerId);
+    reminderTimerId = setInterval(() => this.tick(), 30 * 1000);
+    this.tick();
+  },
+  tick(now = new Date()) {
+    const st = this.get();
+    if (!st.enabled) return;
+    if (!st.nextAt || now < new Date(st.nextAt)) return renderReminderStatus();
+    if (!this.allowed(now, st)) {
+      this.save({ nextAt: this.nextAllowed(now, st).toISOString() });
+    } else if (st.lastDrinkAt && now - new Date(st.lastDrinkAt) < st.skipIfLoggedMin * 60000) {
+      this.scheduleFrom(new Date(st.lastDrinkAt), st);
+      logActivity('Water reminder skipped — logged recently', { type: 'water.reminder' });
+    } else {
+      fireWaterReminder(st);
+      this.scheduleFrom(now, st);
+    }
+    renderReminderStatus();
+  }
+};
+
+function fireWaterReminder(st) {
+  if (!chimeAudio) chimeAudio = new Audio(CONFIG.WATER_REMINDER_SOUND);
+  chimeAudio.play().catch(() => { /* autoplay may be blocked until the user interacts */ });
+  showNotification('HealthSync+', 'Time to drink water 💧');
+  showToast('Time to drink water 💧', {
+    timeout: 60 * 1000,
+    actions: [
+      { label: 'I drank a glass', onClick: logGlassOfWater },
+      { label: `Snooze ${st.snoozeMin} min`, onClick: () => { WaterReminders.snooze(); logActivity('Water reminder snoozed', { type: 'water.reminder' }); } }
+    ]
+  });
+  logActivity('Water reminder fired', { type: 'water.reminder' });
+}
+
+function renderReminderStatus() {
+  const el = document.getElementById('reminderStatus');
+  if (!el) return;
+  const st = WaterReminders.get();
+  el.textContent = st.enabled && st.nextAt
+    ? 'Next reminder: ' + new Date(st.nextAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+    : 'Reminders off';
+}
+
+function renderReminderSettings() {
+  const form = document.getElementById('reminderForm');
+  if (!form) return;
+  const st = WaterReminders.get();
+  form.elements.intervalMin.value = st.intervalMin;
+  form.elements.quietStart.value = st.quietStart;
+  form.elements.quietEnd.value = st.quietEnd;
+  form.elements.skipIfLoggedMin.value = st.skipIfLoggedMin;
+  form.elements.snoozeMin.value = st.snoozeMin;
+  form.querySelectorAll('input[name=day]').forEach(cb => { cb.checked = st.days.includes(parseInt(cb.value, 10)); });
+}
+
+function startWaterReminders() {
+  WaterReminders.start();
+  renderReminderStatus();
+  logActivity('Water reminders started', { type: 'water.reminder' });
+  // ask for notification permission for future reminders
+  requestNotificationPermission();
+}
+
+function stopWaterReminders() {
+  if (!WaterReminders.get().enabled) return;
+  WaterReminders.stop();
+  renderReminderStatus();
+  logActivity('Water reminders stopped', { type: 'water.reminder' });
+}
+
+function initWaterReminders() {
+  const form = document.getElementById('reminderForm');
+  renderReminderSettings();
+  if (form) form.addEventListener('submit', e => {
+    e.preventDefault();
+    const int = (name, min, max) => Math.min(max, Math.max(min, parseInt(form.elements[name].value, 10) || min));
+    const days = Array.from(form.querySelectorAll('input[name=day]:checked')).map(cb => parseInt(cb.value, 10));
+    const msg = document.getElementById('reminderMsg');
+    if (!days.length) {
+      if (msg) { msg.textContent = 'Pick at least one day.'; msg.style.color = '#d97706'; }
+      return;
+    }
+    const st = WaterReminders.save({
+      intervalMin: int('intervalMin', 15, 24 * 60),
+      quietStart: form.elements.quietStart.value || null,
+      quietEnd: form.elements.quietEnd.value || null,
+      skipIfLoggedMin: int('skipIfLoggedMin', 0, 24 * 60),
+      snoozeMin: int('snoozeMin', 5, 240),
+      days
+    });
+    if (st.enabled) WaterReminders.scheduleFrom(new Date());
+    if (msg) { msg.textContent = 'Reminder settings saved.'; msg.style.color = '#059669'; }
+    renderReminderSettings();
+    renderReminderStatus();
+  });
+
+  // resume a schedule that was running before the reload
+  if (WaterReminders.get().enabled) WaterReminders.run();
+  renderReminderStatus();
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') WaterReminders.tick();
+  });
+}
+
+/* ============================================================
+   Challenges — evaluated day by day from the daily records
+   ============================================================ */
+/*
+ * A challenge runs for `duration` days from its start date and is completed once
+ * `required` days meet the per-day target; it fails as soon as too many days are
+ * missed to still get there. Today only counts as missed after it ends.
+ */
+const CHALLENGE_TYPES = {
+  hydration: {
+    name: 'Hydration', duration: 7, required: 7,
+    target: goals => goals.water,
+    value: rec => rec.water,
+    describe: (t, c) => `Drink ${Units.formatWater(t)} a day for ${c.duration} days`
+  },
+  sleep: {
+    name: 'Sleep', duration: 7, required: 5,
+    target: goals => goals.sleep,
+    value: rec => rec.sleep || 0,
+    describe: (t, c) => `Sleep ${t} hrs on ${c.required} of ${c.duration} nights`
+  },
+  steps: {
+    name: 'Steps', duration: 7, required: 7,
+    target: goals => goals.steps,
+    value: rec => totalSteps(rec),
+    describe: (t, c) => `Walk ${t.toLocaleString()} steps a day for ${c.duration} days`
+  },
+  meditation: {
+    name: 'Meditation', duration: 7, required: 7,
+    target: () => 1,
+    value: rec => (rec.checks.meditate ? 1 : 0),
+    describe: (t, c) => `Meditate every day for ${c.duration} days`
+  }
+};
+
+const Challenges = {
+  KEY: 'challenges',
+
+  state() {
+    return Object.assign({ active: {}, history: [] }, Storage.get(this.KEY, {}));
+  },
+  save(st) {
+    Storage.set(this.KEY, st);
+  },
+  // per-day targets are snapshotted from the goals when joining
+  join(type, start = dateKey()) {
+    const def = CHALLENGE_TYPES[type];
+    if (!def) return null;
+    const st = this.state();
+    st.active[type] = { type, startDate: start, target: def.target(Profile.goals()), duration: def.duration, required: def.required };
+    this.save(st);
+    return st.active[type];
+  },
+  end(type, status) {
+    const st = this.state();
+    const ch = st.active[type];
+    if (!ch) return null;
+    const ev = this.evaluate(ch);
+    st.history.unshift(Object.assign({}, ch, {
+      status, endDate: dateKey(), met: ev.met, missed: ev.missed, bestStreak: ev.bestStreak
+    }));
+    delete st.active[type];
+    this.save(st);
+    return ev;
+  },
+  leave(type) {
+    return this.end(type, 'left');
+  },
+  restart(type) {
+    this.end(type, 'restarted');
+    return this.join(type);
+  },
+  evaluate(ch, today = dateKey()) {
+    const def = CHALLENGE_TYPES[ch.type];
+    const start = new Date(ch.startDate + 'T00:00');
+    const days = [];
+    for (let i = 0; i < ch.duration; i++) {
+      const date = dateKey(addDays(start, i));
+      if (date > today) {
+        days.push({ date, status: 'future' });
+        continue;
+      }
+      const met = def.value(DailyRecords.get(date)) >= ch.target;
+      days.push({ date, status: met ? 'met' : date === today ? 'pending' : 'missed' });
+    }
+    const met = days.filter(d => d.status === 'met').length;
+    const missed = days.filter(d => d.status === 'missed').length;
+    let streak = 0, run = 0, bestStreak = 0;
+    days.forEach(d => {
+      if (d.status === 'met') run++;
+      else if (d.status === 'missed') run = 0;
+      bestStreak = Math.max(bestStreak, run);
+    });
+    // current streak counts back from today (a pending today doesn't break it)
+    for (let i = days.length - 1; i >= 0; i--) {
+      const st = days[i].status;
+      if (st === 'future' || st === 'pending') continue;
+      if (st !== 'met') break;
+      streak++;
+    }
+    let status = 'active';
+    if (met >= ch.required) status = 'completed';
+    else if (missed > ch.duration - ch.required) status = 'failed';
+    else if (!days.some(d => d.status === 'future' || d.status === 'pending')) status = 'failed';
+    return { days, met, missed, streak, bestStreak, status };
+  },
+  // move finished challenges into history; returns what changed
+  settle() {
+    const finished = [];
+    Object.keys(this.state().active).forEach(type => {
+      const ev = this.evaluate(this.state().active[type]);
+      if (ev.status === 'active') return;
+      this.end(type, ev.status);
+      finished.push({ type, status: ev.status });
+    });
+    return finished;
+  }
+};
+
+function renderChallenges() {
+  Challenges.settle().forEach(f => {
+    const name = CHALLENGE_TYPES[f.type].name;
+    if (f.status === 'completed') {
+      showToast(`🎉 ${name} challenge completed!`, { type: 'success' });
+      logActivity(`${name} challenge completed`, { type: 'challenge.complete', entityId: f.type });
+    } else {
+      showToast(`${name} challenge ended — too many missed days. Restart it any time.`);
+      logActivity(`${name} challenge failed`, { type: 'challenge.fail', entityId: f.type });
+    }
+  });
+
+  const st = Challenges.state();
+  const list = document.getElementById('challengeList');
+  if (list) {
+    list.innerHTML = Object.keys(CHALLENGE_TYPES).map(type => {
+      const def = CHALLENGE_TYPES[type];
+      const ch = st.active[type];
+      const target = ch ? ch.target : def.target(Profile.goals());
+      const desc = def.describe(target, ch || def);
+      if (!ch) {
+        return `<div class="card challenge" id="challenge-${type}">
+          <h3 style="margin:0">${def.name} — ${def.duration} days</h3>
+          <div class="tiny muted">${escapeHtml(desc)}</div>
+          <div style="height:8px"></div>
+          <button class="btn" data-action="join" data-type="${type}">Join</button>
+        </div>`;
+      }
+      const ev = Challenges.evaluate(ch);
+      const pct = Math.min(100, Math.round((ev.met / ch.required) * 100));
+      return `<div class="card challenge" id="challenge-${type}">
+        <h3 style="margin:0">${def.name} — ${ch.duration} days</h3>
+        <div class="tiny muted">${escapeHtml(desc)} · started ${escapeHtml(ch.startDate)}</div>
+        <div style="height:8px"></div>
+        <div class="progress"><i style="width:${pct}%"${type === 'hydration' ? ' id="challengeProg"' : type === 'sleep' ? ' id="sleepChallenge"' : ''}></i></div>
+        <div class="challenge-days">${ev.days.map(d => `<span class="day-${d.status}" title="${d.date}: ${d.status}"></span>`).join('')}</div>
+        <div class="small">Progress: ${ev.met}/${ch.required} · Streak: ${ev.streak} · Missed: ${ev.missed}</div>
+        <div style="height:8px"></div>
+        <div style="display:flex;gap:8px;flex-wrap:wrap">
+          ${type === 'hydration' ? '<button class="btn" id="logGlass" data-action="glass">I drank a glass</button>' : ''}
+          <button class="btn-ghost" data-action="restart" data-type="${type}">Restart</button>
+          <button class="btn-ghost" data-action="leave" data-type="${type}">Leave</button>
+        </div>
+      </div>`;
+    }).join('');
+  }
+
+  const history = document.getElementById('challengeHistory');
+  if (history) {
+    history.innerHTML = st.history.length
+      ? st.history.map(h => `<li class="tiny" style="padding:6px 0">${escapeHtml(h.startDate)} → ${escapeHtml(h.endDate)} — ${CHALLENGE_TYPES[h.type] ? CHALLENGE_TYPES[h.type].name : escapeHtml(h.type)}: <strong>${escapeHtml(h.status)}</strong> (${h.met}/${h.required} days, best streak ${h.bestStreak})</li>`).join('')
+      : '<li class="tiny muted">No finished challenges yet</li>';
+  }
+
+  // dashboard summary shows the hydration challenge
+  const hyd = st.active.hydration;
+  const ev = hyd ? Challenges.evaluate(hyd) : null;
+  const bar = document.getElementById('hydrationProgress');
+  const text = document.getElementById('hydrationConsistency');
+  const joinBtn = document.getElementById('joinChallenge');
+  if (bar) bar.style.width = ev ? Math.min(100, Math.round((ev.met / hyd.required) * 100)) + '%' : '0%';
+  if (text) text.textContent = ev ? `Consistency: ${ev.met} / ${hyd.required} days · streak ${ev.streak}` : 'Not joined yet';
+  if (joinBtn) {
+    joinBtn.textContent = hyd ? 'Joined' : 'Join';
+    joinBtn.disabled = !!hyd;
+  }
+}
+
+function logGlassOfWater() {
+  const profile = Profile.get();
+  const before = DailyRecords.today();
+  const goalTicked = !before.checks.waterGoal && before.water + profile.glassMl >= profile.goals.water;
+  DailyRecords.updateToday(rec => ({
+    water: rec.water + profile.glassMl,
+    checks: Object.assign(rec.checks, goalTicked ? { waterGoal: true } : {})
+  }));
+  renderChecklist();
+  renderChallenges();
+  renderInsights();
+  WaterReminders.noteDrink();
+  logActivity(`Logged a glass of water (${Units.formatGlass(profile)})`, { type: 'water.add', payload: { date: dateKey(), ml: profile.glassMl, goalTicked } });
+}
+
+function initChallengeButtons() {
+  const joinBtn = document.getElementById('joinChallenge');
+  if (joinBtn) joinBtn.addEventListener('click', () => {
+    if (Challenges.state().active.hydration) return;
+    Challenges.join('hydration');
+    renderChallenges();
+    logActivity('Joined hydration challenge', { type: 'challenge.join', entityId: 'hydration' });
+  });
+
+  const list = document.getElementById('challengeList');
+  if (list) list.addEventListener('click', e => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const type = btn.dataset.type;
+    const name = type && CHALLENGE_TYPES[type].name;
+    if (btn.dataset.action === 'glass') return logGlassOfWater();
+    if (btn.dataset.action === 'join') {
+      Challenges.join(type);
+      logActivity(`Joined ${name} challenge`, { type: 'challenge.join', entityId: type });
+    } else if (btn.dataset.action === 'leave') {
+      Challenges.leave(type);
+      logActivity(`Left ${name} challenge`, { type: 'challenge.leave', entityId: type });
+    } else if (btn.dataset.action === 'restart') {
+      Challenges.restart(type);
+      logActivity(`Restarted ${name} challenge`, { type: 'challenge.restart', entityId: type });
+    }
+    renderChallenges();
+  });
+  renderChallenges();
+}
+
+/* ============================================================
+   BMI & Calorie Calculator
+   ============================================================ */
+/* show cm or ft/in inputs for the unit system and prefill from the profile */
+function prefillCalculator() {
+  const p = Profile.get();
+  const imperial = Units.imperial(p);
+  const h = document.getElementById('heightInput');
+  const ft = document.getElementById('heightFtInput');
+  const inch = document.getElementById('heightInInput');
+  const w = document.getElementById('weightInput');
+  const act = document.getElementById('activityLevel');
+  const switched = h && h.dataset.units !== p.units;
+  if (h) {
+    h.style.display = imperial ? 'none' : '';
+    h.dataset.units = p.units;
+  }
+  if (ft) ft.style.display = imperial ? '' : 'none';
+  if (inch) inch.style.display = imperial ? '' : 'none';
+  if (w) w.placeholder = `Weight ${Units.weightLabel(p)}`;
+  if (switched) [h, ft, inch, w].forEach(el => { if (el) el.value = ''; });
+  if (p.heightCm && h && !h.value && !(ft && ft.value)) {
+    if (imperial && ft && inch) {
+      const v = Units.cmToFtIn(p.heightCm);
+      ft.value = v.ft;
+      inch.value = v.in;
+    } else h.value = p.heightCm;
+  }
+  if (w && !w.value && p.weightKg) w.value = imperial ? Units.kgToLb(p.weightKg) : p.weightKg;
+  if (act) act.value = String(p.activity);
+}
+
+/* calculator inputs in canonical units (null when missing) */
+function readCalculatorInputs() {
+  const val = id => parseFloat((document.getElementById(id) || {}).value);
+  const imperial = Units.imperial();
+  const h = imperial ? (val('heightFtInput') || val('heightInInput') ? Units.ftInToCm(val('heightFtInput') || 0, val('heightInInput') || 0) : NaN) : val('heightInput');
+  const w = imperial ? Units.lbToKg(val('weightInput')) : val('weightInput');
+  return { heightCm: h || null, weightKg: w || null };
+}
+
+function calcBmi(weightKg, heightCm) {
+  return tidyNumber(weightKg / ((heightCm / 100) * (heightCm / 100)), 1);
+}
+
+function bmiCategory(bmi) {
+  if (bmi < 18.5) return 'Underweight';
+  if (bmi < 25) return 'Normal';
+  if (bmi < 30) return 'Overweight';
+  return 'Obese';
+}
+
+function initBMICalculator() {
+  const calcBtn = document.getElementById('calcBtn');
+  const clearBtn = document.getElementById('clearCalc');
+  prefillCalculator();
+
+  if (calcBtn) calcBtn.addEventListener('click', () => {
+    const { heightCm: h, weightKg: w } = readCalculatorInputs();
+    const activity = parseFloat(document.getElementById('activityLevel').value) || 1.2;
+    const res = document.getElementById('bmiResult');
+    if (!h || !w) {
+      if (res) res.textContent = 'Enter height and weight.';
+      return;
+    }
+    const bmi = calcBmi(w, h);
+    const category = bmiCategory(bmi);
+
+    // Mifflin-St Jeor with the profile's age and sex
+    const profile = Profile.get();
+    const age = profile.age || 30;
+    const { calories } = estimateCalories({ weightKg: w, heightCm: h, age, sex: profile.sex, activity });
+    const missing = [!profile.age && 'age', !profile.sex && 'sex'].filter(Boolean);
+    const note = missing.length ? ` <span class="muted">(set your ${missing.join(' and ')} in Profile for a personal estimate)</span>` : '';
+    if (res) res.innerHTML = `BMI: <strong>${bmi}</strong> — ${category}. Estimated daily calories: <strong>${calories}</strong> kcal (approx).${note}
+      <div style="margin-top:4px">Saved to your <a href="#/tools/body">body history</a>.</div>`;
+    // keep the measurement: today's record and the profile both hold the latest values
+    DailyRecords.updateToday({ weight: w, height: h });
+    Profile.save({ weightKg: w, heightCm: h });
+    onProfileChanged();
+    logActivity(`BMI calculated: ${bmi} (${category})`, { type: 'body.bmi' });
+  });
+
+  if (clearBtn) clearBtn.addEventListener('click', () => {
+    ['heightInput', 'heightFtInput', 'heightInInput', 'weightInput'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.value = '';
+    });
+    document.getElementById('bmiResult').textContent = '';
+  });
+}
+
+/* ============================================================
+   Body metrics — weight trend, BMI history and target projection
+   ============================================================ */
+const WEIGHT_TREND_DAYS = 7; // trailing window of the moving average
+const WEIGHT_RATE_DAYS = 28; // window used for the weekly rate of change
+let weightChart = null;
+
+const Body = {
+  // every day with a weight, height or waist entry, oldest first
+  measurements() {
+    const days = DailyRecords.all();
+    return Object.keys(days).sort()
+      .map(date => Object.assign({ date }, DailyRecords.get(date)))
+      .filter(r => r.weight || r.height || r.waist);
+  },
+  // height in effect on `date`: the latest measured at or before it, else the profile's
+  heightOn(date, list = this.measurements()) {
+    const measured = list.filter(m => m.height && m.date <= date).pop();
+    return measured ? measured.height : Profile.get().heightCm;
+  },
+  // weigh-ins with the trailing moving average of the last WEIGHT_TREND_DAYS days
+  trend(list = this.measurements()) {
+    const weighed = list.filter(m => m.weight);
+    return weighed.map(m => {
+      const from = dateKey(addDays(new Date(m.date + 'T12:00'), -(WEIGHT_TREND_DAYS - 1)));
+      const recent = weighed.filter(x => x.date >= from && x.date <= m.date);
+      return { date: m.date, weight: m.weight, avg: tidyNumber(recent.reduce((sum, x) => sum + x.weight, 0) / recent.length, 2) };
+    });
+  },
+  // least-squares slope of the trend line over the last WEIGHT_RATE_DAYS, in kg per week
+  weeklyRate(trend = this.trend()) {
+    const since = dateKey(addDays(new Date(), -(WEIGHT_RATE_DAYS - 1)));
+    const pts = trend.filter(t => t.date >= since).map(t => ({ x: new Date(t.date + 'T12:00') / 86400000, y: t.avg }));
+    if (pts.length < 3 || pts[pts.length - 1].x - pts[0].x < 7) return null;
+    const mx = pts.reduce((s, p) => s + p.x, 0) / pts.length;
+    const my = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+    const slope = pts.reduce((s, p) => s + (p.x - mx) * (p.y - my), 0) / pts.reduce((s, p) => s + (p.x - mx) * (p.x - mx), 0);
+    return tidyNumber(slope * 7, 2);
+  },
+  // when the current trend reaches the target weight; null if it is not heading there
+  projection(target, trend = this.trend(), rate = this.weeklyRate(trend)) {
+    if (!target || !trend.length || !rate) return null;
+    const current = trend[trend.length - 1].avg;
+    const diff = target - current;
+    if (Math.abs(diff) < 0.1) return { reached: true };
+    if (Math.sign(diff) !== Math.sign(rate)) return { offTrack: true };
+    const weeks = diff / rate;
+    return { weeks: tidyNumber(weeks, 1), date: addDays(new Date(), Math.round(weeks * 7)) };
+  }
+};
+
+function renderBodyMetrics() {
+  const box = document.getElementById('bodySummary');
+  if (!box) return;
+  const p = Profile.get();
+  const list = Body.measurements();
+  const trend = Body.trend(list);
+  const rate = Body.weeklyRate(trend);
+  const latest = trend[trend.length - 1];
+  const target = p.targetWeightKg;
+  const targetInput = document.getElementById('targetWeight');
+  if (targetInput && document.activeElement !== targetInput) {
+    targetInput.value = target ? (Units.imperial(p) ? Units.kgToLb(target) : tidyNumber(target, 1)) : '';
+  }
+  document.querySelectorAll('[data-unit="weight"]').forEach(el => { el.textContent = Units.weightLabel(p); });
+
+  let projection = 'Set a target weight to see a projected date.';
+  if (target) {
+    const proj = Body.projection(target, trend, rate);
+    if (!proj) projection = 'Log your weight over at least a week to project a date.';
+    else if (proj.reached) projection = 'You’re at your target weight 🎉';
+    else if (proj.offTrack) projection = `The current trend is moving away from ${Units.formatWeight(target, p)}.`;
+    else projection = `At this rate you’ll reach ${Units.formatWeight(target, p)} around <strong>${proj.date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}</strong> (${proj.weeks} weeks).`;
+  }
+  const rateText = rate === null ? '—' : `${rate > 0 ? '+' : ''}${Units.imperial(p) ? Units.kgToLb(rate) : rate} ${Units.weightLabel(p)}/week`;
+  box.innerHTML = latest
+    ? `<div class="small">Trend: <strong>${Units.formatWeight(latest.avg, p)}</strong> · last weigh-in ${Units.formatWeight(latest.weight, p)}</div>
+       <div class="tiny">Rate of change: ${rateText}</div>
+       <div class="tiny muted" style="margin-top:4px">${projection}</div>`
+    : '<div class="tiny muted">No weigh-ins yet — use + Add Log or the BMI calculator.</div>';
+
+  // BMI category history, newest first, marking where the category changed
+  const history = document.getElementById('bmiHistory');
+  if (history) {
+    const rows = list.filter(m => m.weight).map(m => {
+      const h = Body.heightOn(m.date, list);
+      const bmi = h ? calcBmi(m.weight, h) : null;
+      return { m, bmi, category: bmi ? bmiCategory(bmi) : null };
+    });
+    history.innerHTML = rows.map((r, i) => {
+      const changed = i > 0 && r.category && r.category !== rows[i - 1].category;
+      return `<tr><td>${new Date(r.m.date + 'T12:00').toLocaleDateString()}</td><td>${Units.formatWeight(r.m.weight, p)}</td>
+        <td>${r.bmi === null ? '—' : r.bmi}</td><td>${r.category || '<span class="muted">height needed</span>'}${changed ? ' <span class="badge">changed</span>' : ''}</td>
+        <td>${Units.formatLength(r.m.waist, p)}</td></tr>`;
+    }).reverse().slice(0, 12).join('') || '<tr><td colspan="5" class="muted">No measurements yet</td></tr>';
+  }
+  updateWeightChart(trend);
+}
+
+function updateWeightChart(trend = Body.trend()) {
+  if (!weightChart) return;
+  const p = Profile.get();
+  const show = kg => (Units.imperial(p) ? Units.kgToLb(kg) : tidyNumber(kg, 1));
+  weightChart.data.labels = trend.map(t => new Date(t.date + 'T12:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric' }));
+  weightChart.data.datasets[0].data = trend.map(t => show(t.weight));
+  weightChart.data.datasets[1].data = trend.map(t => show(t.avg));
+  weightChart.data.datasets[0].label = `Weight (${Units.weightLabel(p)})`;
+  const target = p.targetWeightKg;
+  weightChart.data.datasets[2].data = target ? trend.map(() => show(target)) : [];
+  weightChart.update();
+}
+
+function initBodyMetrics() {
+  const canvas = document.getElementById('weightChart');
+  if (canvas && typeof Chart !== 'undefined') {
+    weightChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [
+          { label: 'Weight', data: [], showLine: false, pointRadius: 3, backgroundColor: '#9fb3c8' },
+          { label: `${WEIGHT_TREND_DAYS}-day average`, data: [], tension: 0.3, pointRadius: 0, borderColor: '#3aa0ff' },
+          { label: 'Target', data: [], pointRadius: 0, borderDash: [6, 4], borderColor: '#2bb7b2' }
+        ]
+      },
+      options: { plugins: { legend: { position: 'bottom', labels: { boxWidth: 12 } } }, scales: { y: { beginAtZero: false } } }
+    });
+  } else if (canvas) {
+    chartFallback(canvas);
+  }
+
+  const targetForm = document.getElementById('targetWeightForm');
+  if (targetForm) targetForm.addEventListener('submit', e => {
+    e.preventDefault();
+    const input = document.getElementById('targetWeight');
+    const v = parseFloat(input.value);
+    const kg = input.value.trim() === '' ? null : Units.imperial() ? Units.lbToKg(v) : v;
+    const msg = document.getElementById('targetWeightMsg');
+    if (kg !== null && !(kg >= LOG_LIMITS.weight.min && kg <= LOG_LIMITS.weight.max)) {
+      msg.textContent = `Enter a weight between ${Units.formatWeight(LOG_LIMITS.weight.min)} and ${Units.formatWeight(LOG_LIMITS.weight.max)}.`;
+      msg.style.color = '#d97706';
+      return;
+    }
+    Profile.save({ targetWeightKg: kg });
+    msg.textContent = kg ? 'Target saved.' : 'Target cleared.';
+    msg.style.color = '#059669';
+    input.blur();
+    renderBodyMetrics();
+    logActivity(kg ? `Target weight set to ${Units.formatWeight(kg)}` : 'Target weight cleared', { type: 'body.target' });
+  });
+  renderBodyMetrics();
+}
+
+/* ============================================================
+   Nutrition — food database, meal log and calorie balance
+   ============================================================ */
+/* built-in foods; values are per serving (kcal, grams of protein / carbs / fat) */
+const FOODS = [
+  { id: 'apple', name: 'Apple', serving: '1 medium (180 g)', kcal: 95, protein: 0.5, carbs: 25, fat: 0.3 },
+  { id: 'banana', name: 'Banana', serving: '1 medium (118 g)', kcal: 105, protein: 1.3, carbs: 27, fat: 0.4 },
+  { id: 'orange', name: 'Orange', serving: '1 medium (130 g)', kcal: 62, protein: 1.2, carbs: 15, fat: 0.2 },
+  { id: 'berries', name: 'Mixed berries', serving: '1 cup (150 g)', kcal: 70, protein: 1, carbs: 17, fat: 0.5 },
+  { id: 'oats', name: 'Oatmeal (cooked)', serving: '1 cup (234 g)', kcal: 166, protein: 6, carbs: 28, fat: 3.6 },
+  { id: 'egg', name: 'Egg (boiled)', serving: '1 large (50 g)', kcal: 78, protein: 6.3, carbs: 0.6, fat: 5.3 },
+  { id: 'toast', name: 'Wholemeal toast', serving: '1 slice (32 g)', kcal: 80, protein: 4, carbs: 14, fat: 1.1 },
+  { id: 'yogurt', name: 'Greek yogurt (plain)', serving: '170 g', kcal: 100, protein: 17, carbs: 6, fat: 0.7 },
+  { id: 'milk', name: 'Milk (semi-skimmed)', serving: '1 cup (240 ml)', kcal: 122, protein: 8, carbs: 12, fat: 4.8 },
+  { id: 'cheese', name: 'Cheddar cheese', serving: '30 g', kcal: 120, protein: 7, carbs: 0.4, fat: 10 },
+  { id: 'rice', name: 'White rice (cooked)', serving: '1 cup (158 g)', kcal: 205, protein: 4.3, carbs: 45, fat: 0.4 },
+  { id: 'brown-rice', name: 'Brown rice (cooked)', serving: '1 cup (195 g)', kcal: 216, protein: 5, carbs: 45, fat: 1.8 },
+  { id: 'pasta', name: 'Pasta (cooked)', serving: '1 cup (140 g)', kcal: 220, protein: 8, carbs: 43, fat: 1.3 },
+  { id: 'chapati', name: 'Chapati / roti', serving: '1 piece (40 g)', kcal: 120, protein: 3, carbs: 18, fat: 3.7 },
+  { id: 'potato', name: 'Potato (boiled)', serving: '1 medium (173 g)', kcal: 161, protein: 4.3, carbs: 37, fat: 0.2 },
+  { id: 'chicken', name: 'Chicken breast (grilled)', serving: '100 g', kcal: 165, protein: 31, carbs: 0, fat: 3.6 },
+  { id: 'salmon', name: 'Salmon (baked)', serving: '100 g', kcal: 206, protein: 22, carbs: 0, fat: 12 },
+  { id: 'tofu', name: 'Tofu (firm)', serving: '100 g', kcal: 144, protein: 17, carbs: 3, fat: 8.7 },
+  { id: 'lentils', name: 'Lentils / dal (cooked)', serving: '1 cup (198 g)', kcal: 230, protein: 18, carbs: 40, fat: 0.8 },
+  { id: 'chickpeas', name: 'Chickpeas (cooked)', serving: '1 cup (164 g)', kcal: 269, protein: 14.5, carbs: 45, fat: 4.2 },
+  { id: 'broccoli', name: 'Broccoli (steamed)', serving: '1 cup (156 g)', kcal: 55, protein: 3.7, carbs: 11, fat: 0.6 },
+  { id: 'salad', name: 'Green salad (no dressing)', serving: '1 bowl (100 g)', kcal: 20, protein: 1.5, carbs: 3.5, fat: 0.2 },
+  { id: 'avocado', name: 'Avocado', serving: '½ fruit (100 g)', kcal: 160, protein: 2, carbs: 8.5, fat: 14.7 },
+  { id: 'almonds', name: 'Almonds', serving: '28 g (about 23)', kcal: 164, protein: 6, carbs: 6, fat: 14 },
+  { id: 'peanut-butter', name: 'Peanut butter', serving: '2 tbsp (32 g)', kcal: 188, protein: 8, carbs: 6, fat: 16 },
+  { id: 'olive-oil', name: 'Olive oil', serving: '1 tbsp (14 g)', kcal: 119, protein: 0, carbs: 0, fat: 13.5 },
+  { id: 'pizza', name: 'Pizza (cheese)', serving: '1 slice (107 g)', kcal: 285, protein: 12, carbs: 36, fat: 10 },
+  { id: 'burger', name: 'Hamburger', serving: '1 burger (110 g)', kcal: 295, protein: 17, carbs: 30, fat: 12 },
+  { id: 'chocolate', name: 'Dark chocolate (70%)', serving: '28 g', kcal: 170, protein: 2.2, carbs: 13, fat: 12 },
+  { id: 'coffee-latte', name: 'Latte', serving: '1 cup (350 ml)', kcal: 190, protein: 12, carbs: 18, fat: 7 },
+  { id: 'orange-juice', name: 'Orange juice', serving: '1 cup (240 ml)', kcal: 112, protein: 1.7, carbs: 26, fat: 0.5 },
+  { id: 'soda', name: 'Cola', serving: '1 can (330 ml)', kcal: 139, protein: 0, carbs: 35, fat: 0 }
+];
+const MACROS = ['protein', 'carbs', 'fat'];
+const MACRO_KCAL = { protein: 4, carbs: 4, fat: 9 };
+const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+let macroChart = null;
+
+/* the food database: built-ins plus the user's custom foods and recipes */
+const Foods = {
+  CUSTOM_KEY: 'customFoods',
+  RECIPES_KEY: 'recipes',
+
+  custom() {
+    return Storage.get(this.CUSTOM_KEY, []);
+  },
+  recipes() {
+    return Storage.get(this.RECIPES_KEY, []);
+  },
+  // a recipe behaves like a food whose serving is 1/servings of its ingredients
+  recipeAsFood(r) {
+    const food = { id: r.id, name: r.name, serving: `1 of ${r.servings} servings`, recipe: true, kcal: 0 };
+    MACROS.forEach(m => { food[m] = 0; });
+    r.items.forEach(item => {
+      const f = this.find(item.foodId);
+      if (!f || f.recipe) return;
+      food.kcal += f.kcal * item.servings / r.servings;
+      MACROS.forEach(m => { food[m] += f[m] * item.servings / r.servings; });
+    });
+    food.kcal = Math.round(food.kcal);
+    MACROS.forEach(m => { food[m] = tidyNumber(food[m], 1); });
+    return food;
+  },
+  all() {
+    return FOODS.concat(this.custom(), this.recipes().map(r => this.recipeAsFood(r)));
+  },
+  find(id) {
+    return FOODS.find(f => f.id === id) || this.custom().find(f => f.id === id) ||
+      (this.recipes().find(r => r.id === id) && this.recipeAsFood(this.recipes().find(r => r.id === id))) || null;
+  },
+  // name matches, with foods starting with the query first
+  search(q, { limit = 8, recipes = true } = {}) {
+    const needle = q.trim().toLowerCase();
+    if (!needle) return [];
+    return this.all()
+      .filter(f => (recipes || !f.recipe) && f.name.toLowerCase().includes(needle))
+      .sort((a, b) => (b.name.toLowerCase().startsWith(needle) - a.name.toLowerCase().startsWith(needle)) || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  },
+  addCustom({ name, serving, kcal, protein, carbs, fat }) {
+    const food = { id: uid('food'), name: name.trim(), serving: serving.trim() || '1 serving', kcal: Math.round(kcal), protein, carbs, fat, custom: true };
+    Storage.set(this.CUSTOM_KEY, this.custom().concat(food));
+    return food;
+  },
+  addRecipe({ name, servings, items }) {
+    const recipe = { id: uid('recipe'), name: name.trim(), servings, items };
+    Storage.set(this.RECIPES_KEY, this.recipes().concat(recipe));
+    return recipe;
+  },
+  // logged meals keep their own copy of the values, so removing a food never changes history
+  remove(id) {
+    Storage.set(this.CUSTOM_KEY, this.custom().filter(f => f.id !== id));
+    Storage.set(this.RECIPES_KEY, this.recipes().filter(r => r.id !== id));
+  }
+};
+
+const Nutrition = {
+  // adds a meal entry to the day's record; values are totals for `servings`
+  log(date, { meal, foodId, servings }) {
+    const food = Foods.find(foodId);
+    if (!food || !(servings > 0)) return null;
+    const entry = { id: uid('meal'), meal, foodId, name: food.name, servings, kcal: Math.round(food.kcal * servings) };
+    MACROS.forEach(m => { entry[m] = tidyNumber(food[m] * servings, 1); });
+    DailyRecords.update(date, rec => ({ meals: rec.meals.concat(entry) }));
+    return entry;
+  },
+  remove(date, id) {
+    let removed = null;
+    DailyRecords.update(date, rec => {
+      removed = rec.meals.find(m => m.id === id) || null;
+      return { meals: rec.meals.filter(m => m.id !== id) };
+    });
+    return removed;
+  },
+  restore(date, entry) {
+    DailyRecords.update(date, rec => ({ meals: rec.meals.concat(entry) }));
+  },
+  totals(rec) {
+    const out = { kcal: 0, protein: 0, carbs: 0, fat: 0 };
+    (rec.meals || []).forEach(m => {
+      out.kcal += m.kcal;
+      MACROS.forEach(k => { out[k] += m[k]; });
+    });
+    MACROS.forEach(k => { out[k] = tidyNumber(out[k], 1); });
+    return out;
+  }
+};
+
+function formatFood(f) {
+  return `${escapeHtml(f.name)} <span class="muted">— ${escapeHtml(f.serving)}, ${f.kcal} kcal · P ${f.protein} g · C ${f.carbs} g · F ${f.fat} g</span>`;
+}
+
+/* search box + result buttons; `onPick(food)` is called with the chosen food */
+function initFoodPicker(inputId, resultsId, onPick, options) {
+  const input = document.getElementById(inputId);
+  const results = document.getElementById(resultsId);
+  if (!input || !results) return;
+  input.addEventListener('input', () => {
+    const found = Foods.search(input.value, options);
+    results.innerHTML = found.map(f => `<button type="button" class="food-result" data-id="${escapeHtml(f.id)}">${formatFood(f)}</button>`).join('') ||
+      (input.value.trim() ? '<div class="tiny muted">No foods found — add it under "My foods".</div>' : '');
+  });
+  results.addEventListener('click', e => {
+    const btn = e.target.closest('[data-id]');
+    if (!btn) return;
+    results.innerHTML = '';
+    input.value = '';
+    onPick(Foods.find(btn.dataset.id));
+  });
+}
+
+function renderNutritionSummary() {
+  const rec = DailyRecords.today();
+  const totals = Nutrition.totals(rec);
+  const target = calorieTarget();
+  const pct = target ? Math.min(100, Math.round(totals.kcal / target * 100)) : 0;
+  const balance = target === null
+    ? 'Set weight, height and age in <a href="#/profile">Profile</a> for a calorie target.'
+    : totals.kcal <= target ? `${(target - totals.kcal).toLocaleString()} kcal left of ${target.toLocaleString()}` : `${(totals.kcal - target).toLocaleString()} kcal over ${target.toLocaleString()}`;
+  const html = `<div class="small"><strong>${totals.kcal.toLocaleString()}</strong> kcal eaten today</div>
+    <div class="progress" style="margin:6px 0"><i style="width:${pct}%"></i></div>
+    <div class="tiny muted">${balance}</div>
+    <div class="tiny" style="margin-top:6px">Protein ${totals.protein} g · Carbs ${totals.carbs} g · Fat ${totals.fat} g</div>`;
+  document.querySelectorAll('[data-nutrition-summary]').forEach(el => { el.innerHTML = html; });
+}
+
+function renderMealLog() {
+  const box = document.getElementById('mealLog');
+  if (!box) return;
+  const meals = DailyRecords.today().meals;
+  box.innerHTML = MEALS.map(meal => {
+    const items = meals.filter(m => m.meal === meal);
+    const kcal = items.reduce((sum, m) => sum + m.kcal, 0);
+    return `<div class="meal-group">
+      <div style="display:flex;justify-content:space-between"><strong style="text-transform:capitalize">${meal}</strong><span class="tiny muted">${kcal} kcal</span></div>
+      ${items.map(m => `<div class="tiny meal-item" data-id="${escapeHtml(m.id)}">
+        <span>${escapeHtml(m.name)} × ${m.servings} <span class="muted">— ${m.kcal} kcal</span></span>
+        <button class="btn-ghost" data-action="delete" aria-label="Remove ${escapeHtml(m.name)}">×</button>
+      </div>`).join('') || '<div class="tiny muted">Nothing logged</div>'}
+    </div>`;
+  }).join('');
+}
+
+function renderMyFoods() {
+  const box = document.getElementById('myFoods');
+  if (!box) return;
+  const custom = Foods.custom();
+  const recipes = Foods.recipes().map(r => Foods.recipeAsFood(r));
+  box.innerHTML = custom.concat(recipes).map(f => `<div class="tiny meal-item" data-id="${escapeHtml(f.id)}">
+      <span>${f.recipe ? '🍲 ' : ''}${formatFood(f)}</span>
+      <button class="btn-ghost" data-action="delete" aria-label="Delete ${escapeHtml(f.name)}">×</button>
+    </div>`).join('') || '<div class="tiny muted">No custom foods or recipes yet</div>';
+}
+
+let pickedFood = null;
+let recipeItems = [];
+
+function renderPickedFood() {
+  const el = document.getElementById('pickedFood');
+  if (el) el.innerHTML = pickedFood ? formatFood(pickedFood) : '<span class="muted">Search and pick a food</span>';
+  const add = document.getElementById('addFood');
+  if (add) add.disabled = !pickedFood;
+}
+
+function renderRecipeItems() {
+  const list = document.getElementById('recipeItems');
+  if (!list) return;
+  list.innerHTML = recipeItems.map((item, i) => `<div class="tiny meal-item" data-index="${i}">
+      <span>${escapeHtml(Foods.find(item.foodId).name)}</span>
+      <span><input type="number" min="0.25" step="0.25" value="${item.servings}" aria-label="Servings" style="width:64px"> servings
+      <button type="button" class="btn-ghost" data-action="delete" aria-label="Remove ingredient">×</button></span>
+    </div>`).join('') || '<div class="tiny muted">Add ingredients with the search above</div>';
+}
+
+function renderNutrition() {
+  renderNutritionSummary();
+  renderMealLog();
+  renderMyFoods();
+  updateMacroChart();
+}
+
+function initNutrition() {
+  const mealSel = document.getElementById('mealSelect');
+  if (!mealSel) return;
+  // default meal by time of day
+  const hour = new Date().getHours();
+  mealSel.value = hour < 11 ? 'breakfast' : hour < 16 ? 'lunch' : hour < 21 ? 'dinner' : 'snack';
+
+  initFoodPicker('foodSearch', 'foodResults', food => {
+    pickedFood = food;
+    renderPickedFood();
+    document.getElementById('foodServings').focus();
+  });
+  document.getElementById('addFood').addEventListener('click', () => {
+    const servings = parseFloat(document.getElementById('foodServings').value);
+    const msg = document.getElementById('foodMsg');
+    const entry = pickedFood && Nutrition.log(dateKey(), { meal: mealSel.value, foodId: pickedFood.id, servings });
+    if (!entry) {
+      msg.textContent = 'Pick a food and enter a serving count above 0.';
+      msg.style.color = '#d97706';
+      return;
+    }
+    msg.textContent = '';
+    pickedFood = null;
+    document.getElementById('foodServings').value = '1';
+    renderPickedFood();
+    renderNutrition();
+    renderInsights();
+    logActivity(`Food logged (${entry.meal}): ${entry.name} × ${entry.servings} — ${entry.kcal} kcal`, { type: 'nutrition.add', entityId: entry.id, payload: { date: dateKey() } });
+  });
+
+  document.getElementById('mealLog').addEventListener('click', e => {
+    const btn = e.target.closest('[data-action="delete"]');
+    if (!btn) return;
+    const date = dateKey();
+    const removed = Nutrition.remove(date, btn.closest('[data-id]').dataset.id);
+    if (!removed) return;
+    renderNutrition();
+    renderInsights();
+    logActivity('Food removed: ' + removed.name, { type: 'nutrition.remove', entityId: removed.id });
+    showToast(`Removed ${removed.name}.`, {
+      actions: [{ label: 'Undo', onClick: () => {
+        Nutrition.restore(date, removed);
+        renderNutrition();
+        renderInsights();
+        logActivity('Food restored: ' + removed.name, { type: 'nutrition.restore', entityId: removed.id });
+      } }]
+    });
+  });
+
+  // custom foods
+  const foodForm = document.getElementById('customFoodForm');
+  foodForm.addEventListener('submit', e => {
+    e.preventDefault();
+    const f = foodForm.elements;
+    const num = name => Math.max(0, parseFloat(f[name].value) || 0);
+    const msg = document.getElementById('customFoodMsg');
+    if (!f.name.value.trim() || !(parseFloat(f.kcal.value) >= 0)) {
+      msg.textContent = 'A name and calories are required.';
+      msg.style.color = '#d97706';
+      return;
+    }
+    const food = Foods.addCustom({ name: f.name.value, serving: f.serving.value, kcal: num('kcal'), protein: num('protein'), carbs: num('carbs'), fat: num('fat') });
+    foodForm.reset();
+    msg.textContent = `Added ${food.name}.`;
+    msg.style.color = '#059669';
+    renderMyFoods();
+    logActivity('Custom food added: ' + food.name, { type: 'nutrition.food', entityId: food.id });
+  });
+
+  // recipes: pick ingredients, set servings for each, save
+  initFoodPicker('recipeSearch', 'recipeResults', food => {
+    recipeItems.push({ foodId: food.id, servings: 1 });
+    renderRecipeItems();
+  }, { recipes: false });
+  const recipeList = document.getElementById('recipeItems');
+  recipeList.addEventListener('input', e => {
+    const row = e.target.closest('[data-index]');
+    if (row) recipeItems[row.dataset.index].servings = Math.max(0, parseFloat(e.target.value) || 0);
+  });
+  recipeList.addEventListener('click', e => {
+    const btn = e.target.closest('[data-action="delete"]');
+    if (!btn) return;
+    recipeItems.splice(btn.closest('[data-index]').dataset.index, 1);
+    renderRecipeItems();
+  });
+  const recipeForm = document.getElementById('recipeForm');
+  recipeForm.addEventListener('submit', e => {
+    e.preventDefault();
+    const name = recipeForm.elements.name.value.trim();
+    const servings = parseInt(recipeForm.elements.servings.value, 10);
+    const items = recipeItems.filter(i => i.servings > 0);
+    const msg = document.getElementById('recipeMsg');
+    if (!name || !(servings > 0) || !items.length) {
+      msg.textContent = 'Give the recipe a name, a serving count and at least one ingredient.';
+      msg.style.color = '#d97706';
+      return;
+    }
+    const recipe = Foods.addRecipe({ name, servings, items });
+    recipeItems = [];
+    recipeForm.reset();
+    renderRecipeItems();
+    msg.textContent = `Saved ${recipe.name}.`;
+    msg.style.color = '#059669';
+    renderMyFoods();
+    logActivity('Recipe saved: ' + recipe.name, { type: 'nutrition.recipe', entityId: recipe.id });
+  });
+
+  document.getElementById('myFoods').addEventListener('click', e => {
+    const btn = e.target.closest('[data-action="delete"]');
+    if (!btn) return;
+    const food = Foods.find(btn.closest('[data-id]').dataset.id);
+    Foods.remove(food.id);
+    renderMyFoods();
+    logActivity('Food deleted: ' + food.name, { type: 'nutrition.food-delete', entityId: food.id });
+  });
+
+  renderPickedFood();
+  renderRecipeItems();
+  renderNutrition();
+}
+
+/* today's macros as a share of calories */
+function updateMacroChart() {
+  if (!macroChart) return;
+  const totals = Nutrition.totals(DailyRecords.today());
+  macroChart.data.datasets[0].data = MACROS.map(m => Math.round(totals[m] * MACRO_KCAL[m]));
+  macroChart.update();
+}
+
+/* ============================================================
+   Activity log — workouts, MET calorie burn and step equivalents
+   ============================================================ */
+/*
+ * MET values per intensity (Compendium of Physical Activities, rounded).
+ * `stepsPerMin` is only set for activities that produce steps.
+ */
+const WORKOUT_TYPES = {
+  walk: { name: 'Walk', met: { light: 2.8, moderate: 3.5, vigorous: 5 }, stepsPerMin: { light: 90, moderate: 110, vigorous: 125 } },
+  run: { name: 'Run', met: { light: 6, moderate: 9.8, vigorous: 11.5 }, stepsPerMin: { light: 150, moderate: 165, vigorous: 180 } },
+  cycle: { name: 'Cycle', met: { light: 4, moderate: 6.8, vigorous: 10 } },
+  yoga: { name: 'Yoga', met: { light: 2.5, moderate: 3, vigorous: 4 } },
+  strength: { name: 'Strength', met: { light: 3.5, moderate: 5, vigorous: 6 } }
+};
+const INTENSITIES = { light: 'Light', moderate: 'Moderate', vigorous: 'Vigorous' };
+// WHO guideline: 150 moderate minutes a week, a vigorous minute counts as two
+const ACTIVE_MINUTES_GOAL = 150;
+// walking-type minutes in a day that tick the "30-min walk" checklist item
+const WALK_CHECK_TYPES = ['walk', 'run', 'cycle'];
+const WALK_CHECK_MIN = 30;
+const DEFAULT_WEIGHT_KG = 70;
+
+/* steps for the day: entered/imported steps plus estimates from logged workouts */
+function totalSteps(rec) {
+  return rec.steps + (rec.workouts || []).reduce((sum, w) => sum + (w.steps || 0), 0);
+}
+
+const Workouts = {
+  // kcal = MET × kg × hours
+  estimate({ type, minutes, intensity }, weightKg = Profile.get().weightKg || DEFAULT_WEIGHT_KG) {
+    const def = WORKOUT_TYPES[type];
+    return {
+      kcal: Math.round(def.met[intensity] * weightKg * minutes / 60),
+      steps: def.stepsPerMin ? Math.round(def.stepsPerMin[intensity] * minutes) : 0
+    };
+  },
+  log(date, { type, minutes, intensity }) {
+    if (!WORKOUT_TYPES[type] || !INTENSITIES[intensity] || !(minutes > 0)) return null;
+    const entry = Object.assign({ id: uid('w'), type, minutes, intensity, at: new Date().toISOString() }, this.estimate({ type, minutes, intensity }));
+    DailyRecords.update(date, rec => this.withWalkCheck(rec, rec.workouts.concat(entry)));
+    return entry;
+  },
+  remove(date, id) {
+    let removed = null;
+    DailyRecords.update(date, rec => {
+      removed = rec.workouts.find(w => w.id === id) || null;
+      return this.withWalkCheck(rec, rec.workouts.filter(w => w.id !== id));
+    });
+    return removed;
+  },
+  restore(date, entry) {
+    DailyRecords.update(date, rec => this.withWalkCheck(rec, rec.workouts.concat(entry)));
+  },
+  /*
+   * Patch for a day's new workout list: ticks walk30 once walks reach the goal and marks
+   * the workout that did it (`walkCheck`), so removing workouts takes the tick back.
+   * A tick the user set by hand is left alone.
+   */
+  withWalkCheck(rec, workouts) {
+    const ticked = rec.workouts.some(w => w.walkCheck);
+    if (this.qualifiesForWalk(workouts)) {
+      // keep the mark on a remaining workout when the one holding it goes
+      if (rec.checks.walk30 && (!ticked || workouts.some(w => w.walkCheck))) return { workouts, checks: rec.checks };
+      const last = workouts.length - 1;
+      return {
+        workouts: workouts.map((w, i) => (i === last ? Object.assign({}, w, { walkCheck: true }) : w)),
+        checks: Object.assign(rec.checks, { walk30: true })
+      };
+    }
+    if (!ticked) return { workouts, checks: rec.checks };
+    return {
+      workouts: workouts.map(w => {
+        const copy = Object.assign({}, w);
+        delete copy.walkCheck;
+        return copy;
+      }),
+      checks: Object.assign(rec.checks, { walk30: false })
+    };
+  },
+  qualifiesForWalk(workouts) {
+    return workouts.filter(w => WALK_CHECK_TYPES.includes(w.type)).reduce((sum, w) => sum + w.minutes, 0) >= WALK_CHECK_MIN;
+  },
+  activeMinutes(records) {
+    const weight = { light: 0, moderate: 1, vigorous: 2 };
+    return records.reduce((sum, rec) => sum + (rec.workouts || []).reduce((s, w) => s + w.minutes * weight[w.intensity], 0), 0);
+  },
+  burned(rec) {
+    return (rec.workouts || []).reduce((sum, w) => sum + w.kcal, 0);
+  }
+};
+
+function readWorkoutForm(form) {
+  return {
+    type: form.elements.type.value,
+    minutes: parseInt(form.elements.minutes.value, 10),
+    intensity: form.elements.intensity.value
+  };
+}
+
+function renderWorkoutEstimate() {
+  const form = document.getElementById('workoutForm');
+  const el = document.getElementById('workoutEstimate');
+  if (!form || !el) return;
+  const w = readWorkoutForm(form);
+  if (!(w.minutes > 0)) {
+    el.textContent = 'Enter how many minutes you were active.';
+    return;
+  }
+  const est = Workouts.estimate(w);
+  const weightNote = Profile.get().weightKg ? '' : ` (assuming ${Units.formatWeight(DEFAULT_WEIGHT_KG)} — set your weight in Profile)`;
+  el.textContent = `≈ ${est.kcal} kcal${est.steps ? ` · ≈ ${est.steps.toLocaleString()} steps` : ''}${weightNote}`;
+}
+
+// workouts may arrive by import or sync with a type this version does not know
+function workoutName(type) {
+  return WORKOUT_TYPES[type] ? WORKOUT_TYPES[type].name : 'Workout';
+}
+
+function renderWorkouts() {
+  const list = document.getElementById('workoutLog');
+  if (list) {
+    const rec = DailyRecords.today();
+    list.innerHTML = rec.workouts.map(w => `<div class="tiny meal-item" data-id="${escapeHtml(w.id)}">
+        <span><strong>${escapeHtml(workoutName(w.type))}</strong> · ${w.minutes} min, ${(INTENSITIES[w.intensity] || 'unknown intensity').toLowerCase()}
+          <span class="muted">— ${w.kcal} kcal${w.steps ? ` · ${w.steps.toLocaleString()} steps` : ''}${w.distanceKm ? ` · ${w.distanceKm} km` : ''}${w.source ? ` · ${escapeHtml(w.source)}` : ''}</span></span>
+        <button class="btn-ghost" data-action="delete" aria-label="Remove workout">×</button>
+      </div>`).join('') || '<div class="tiny muted">No workouts logged today</div>';
+    const totals = document.getElementById('workoutTotals');
+    if (totals) totals.textContent = `Today: ${Workouts.burned(rec)} kcal burned · ${totalSteps(rec).toLocaleString()} steps (incl. ${(totalSteps(rec) - rec.steps).toLocaleString()} from workouts)`;
+  }
+
+  const week = DailyRecords.range(7);
+  const minutes = Workouts.activeMinutes(week.map(w => w.record));
+  const bar = document.getElementById('activeMinutesBar');
+  if (bar) bar.style.width = Math.min(100, Math.round(minutes / ACTIVE_MINUTES_GOAL * 100)) + '%';
+  const label = document.getElementById('activeMinutes');
+  if (label) label.textContent = `${minutes} / ${ACTIVE_MINUTES_GOAL} active minutes in the last 7 days`;
+  const days = document.getElementById('activeDays');
+  if (days) {
+    days.innerHTML = week.map(w => {
+      const mins = w.record.workouts.reduce((sum, x) => sum + x.minutes, 0);
+      return `<div class="tiny" style="display:flex;justify-content:space-between"><span>${w.day.toLocaleDateString(undefined, { weekday: 'short' })}</span>
+        <span class="muted">${mins} min · ${Workouts.burned(w.record)} kcal</span></div>`;
+    }).join('');
+  }
+}
+
+function initWorkouts() {
+  const form = document.getElementById('workoutForm');
+  if (!form) return;
+  form.elements.type.innerHTML = Object.keys(WORKOUT_TYPES).map(k => `<option value="${k}">${WORKOUT_TYPES[k].name}</option>`).join('');
+  form.elements.intensity.innerHTML = Object.keys(INTENSITIES).map(k => `<option value="${k}">${INTENSITIES[k]}</option>`).join('');
+  form.elements.intensity.value = 'moderate';
+  form.addEventListener('input', renderWorkoutEstimate);
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const msg = document.getElementById('workoutMsg');
+    const before = DailyRecords.today().checks.walk30;
+    const entry = Workouts.log(dateKey(), readWorkoutForm(form));
+    if (!entry) {
+      msg.textContent = 'Enter a duration in minutes.';
+      msg.style.color = '#d97706';
+      return;
+    }
+    const walked = !before && DailyRecords.today().checks.walk30;
+    msg.textContent = walked ? '30-minute walk ticked off on your checklist ✓' : '';
+    msg.style.color = '#059669';
+    onWorkoutsChanged();
+    logActivity(`Workout logged: ${WORKOUT_TYPES[entry.type].name}, ${entry.minutes} min (${entry.intensity}) — ${entry.kcal} kcal`, { type: 'workout.add', entityId: entry.id, payload: { date: dateKey() } });
+  });
+
+  document.getElementById('workoutLog').addEventListener('click', e => {
+    const btn = e.target.closest('[data-action="delete"]');
+    if (!btn) return;
+    const date = dateKey();
+    const removed = Workouts.remove(date, btn.closest('[data-id]').dataset.id);
+    if (!removed) return;
+    onWorkoutsChanged();
+    const name = workoutName(removed.type);
+    logActivity(`Workout removed: ${name}, ${removed.minutes} min`, { type: 'workout.remove', entityId: removed.id });
+    showToast(`Removed ${name.toLowerCase()} (${removed.minutes} min).`, {
+      actions: [{ label: 'Undo', onClick: () => {
+        Workouts.restore(date, removed);
+        onWorkoutsChanged();
+        logActivity(`Workout restored: ${name}, ${removed.minutes} min`, { type: 'workout.restore', entityId: removed.id });
+      } }]
+    });
+  });
+
+  renderWorkoutEstimate();
+  renderWorkouts();
+}
+
+function onWorkoutsChanged() {
+  renderWorkouts();
+  renderChecklist();
+  renderChallenges();
+  renderInsights();
+}
+
+/* ============================================================
+   Symptom checker — multi-symptom triage with red flags
+   ============================================================ */
+/*
+ * Not a diagnosis: scores the answers into one of three triage levels and
+ * always shows red-flag combinations first. `weight` is how much a symptom
+ * adds to the score on its own.
+ */
+const SYMPTOMS = {
+  headache: { name: 'Headache', weight: 1, advice: 'Drink water, take screen breaks and rest in a quiet, dark room.' },
+  fever: { name: 'Fever', weight: 2, advice: 'Rest, drink plenty of fluids and track your temperature.' },
+  cough: { name: 'Cough', weight: 1, advice: 'Rest, warm fluids and honey can ease a cough.' },
+  soreThroat: { name: 'Sore throat', weight: 1, advice: 'Warm drinks, salt-water gargles and rest usually help.' },
+  fatigue: { name: 'Fatigue', weight: 1, advice: 'Aim for 7–8 hours of sleep and regular meals; persistent tiredness is worth a check-up.' },
+  stomachAche: { name: 'Stomach ache', weight: 1, advice: 'Try small, bland meals and rest.' },
+  nausea: { name: 'Nausea / vomiting', weight: 1, advice: 'Take small sips of water or oral rehydration solution.' },
+  diarrhea: { name: 'Diarrhoea', weight: 1, advice: 'Keep up fluids and salts; avoid fatty food for a day or two.' },
+  backPain: { name: 'Back pain', weight: 1, advice: 'Keep gently moving, stretch and check your posture.' },
+  dizziness: { name: 'Dizziness', weight: 2, advice: 'Sit or lie down until it passes and get up slowly.' },
+  rash: { name: 'Rash', weight: 1, advice: 'Avoid scratching and new skin products; note any spread.' },
+  stiffNeck: { name: 'Stiff neck', weight: 2, advice: 'Gentle movement and warmth can ease muscle stiffness.' },
+  chestPain: { name: 'Chest pain', weight: 4, advice: 'Stop what you are doing and rest.' },
+  breathless: { name: 'Shortness of breath', weight: 4, advice: 'Sit upright and try to breathe slowly.' }
+};
+
+const SYMPTOM_DURATIONS = [
+  { id: 'hours', label: 'Less than a day', score: 0 },
+  { id: 'days', label: '1–3 days', score: 0 },
+  { id: 'week', label: '4–7 days', score: 1 },
+  { id: 'weeks', label: 'More than a week', score: 2 }
+];
+const SYMPTOM_SEVERITIES = [
+  { id: 'mild', label: 'Mild', score: 0 },
+  { id: 'moderate', label: 'Moderate', score: 1 },
+  { id: 'severe', label: 'Severe', score: 3 }
+];
+
+/* follow-up questions; `symptoms` limits when a question is asked (empty = always) */
+const SYMPTOM_QUESTIONS = [
+  { id: 'worsening', text: 'Is it getting worse rather than better?', score: 1, symptoms: [] },
+  { id: 'condition', text: 'Do you have a long-term condition (heart, lung, diabetes, immune) or are you pregnant?', score: 1, symptoms: [] },
+  { id: 'highFever', text: 'Is your temperature 39.5 °C (103 °F) or higher?', score: 2, symptoms: ['fever'] },
+  { id: 'sudden', text: 'Did it start suddenly and feel like the worst ever?', score: 2, symptoms: ['headache', 'chestPain', 'stomachAche'] },
+  { id: 'fainted', text: 'Have you fainted or nearly fainted?', score: 2, symptoms: ['dizziness', 'chestPain', 'breathless'] },
+  { id: 'blood', text: 'Any blood when coughing, vomiting or in your stool?', score: 3, symptoms: ['cough', 'nausea', 'diarrhea', 'stomachAche'] },
+  { id: 'fluids', text: 'Unable to keep fluids down for more than 12 hours?', score: 2, symptoms: ['nausea', 'diarrhea'] },
+  { id: 'numbness', text: 'Any numbness, weakness or loss of bladder control?', score: 2, symptoms: ['backPain', 'headache', 'dizziness'] }
+];
+
+/* combinations that always mean urgent care, whatever the score */
+const RED_FLAGS = [
+  { symptoms: ['chestPain', 'breathless'], message: 'Chest pain with shortness of breath' },
+  { symptoms: ['chestPain'], answers: ['fainted'], message: 'Chest pain with fainting' },
+  { symptoms: ['chestPain'], severity: 'severe', message: 'Severe chest pain' },
+  { symptoms: ['breathless'], severity: 'severe', message: 'Severe shortness of breath' },
+  { symptoms: ['headache', 'fever', 'stiffNeck'], message: 'Headache with fever and a stiff neck' },
+  { symptoms: ['fever', 'rash'], answers: ['highFever'], message: 'High fever with a rash' },
+  { symptoms: ['headache'], answers: ['sudden'], message: 'Sudden, worst-ever headache' },
+  { symptoms: ['headache'], answers: ['numbness'], message: 'Headache with numbness or weakness' },
+  { symptoms: ['backPain'], answers: ['numbness'], message: 'Back pain with numbness or loss of bladder control' },
+  { symptoms: [], answers: ['blood'], message: 'Blood when coughing, vomiting or in stool' }
+];
+
+const TRIAGE_LEVELS = {
+  selfCare: { label: 'Self-care', advice: 'This can usually be managed at home. See a clinician if it lasts or gets worse.' },
+  clinician: { label: 'See a clinician', advice: 'Book an appointment with a doctor or pharmacist in the next day or two.' },
+  urgent: { label: 'Urgent care', advice: 'Get medical help now — call your local emergency number or go to an emergency department.' }
+};
+
+// saved checks may come from a backup made by another version
+function triageLabel(level) {
+  return TRIAGE_LEVELS[level] ? TRIAGE_LEVELS[level].label : String(level || 'Unknown');
+}
+
+/* { symptoms: [keys], duration, severity, answers: [question ids] } -> triage result */
+function triageSymptoms({ symptoms, duration, severity, answers = [] }) {
+  const find = (list, id) => list.find(x => x.id === id) || list[0];
+  const redFlags = RED_FLAGS.filter(f =>
+    f.symptoms.every(k => symptoms.includes(k)) &&
+    (f.answers || []).every(a => answers.includes(a)) &&
+    (!f.severity || f.severity === severity)).map(f => f.message);
+  const questions = SYMPTOM_QUESTIONS.filter(q => answers.includes(q.id));
+  const score = Math.max(0, ...symptoms.map(k => SYMPTOMS[k].weight)) +
+    (symptoms.length >= 3 ? 1 : 0) +
+    find(SYMPTOM_SEVERITIES, severity).score +
+    find(SYMPTOM_DURATIONS, duration).score +
+    questions.reduce((sum, q) => sum + q.score, 0);
+  const level = redFlags.length || score >= 6 ? 'urgent' : score >= 3 ? 'clinician' : 'selfCare';
+  return { level, score, redFlags, advice: symptoms.map(k => SYMPTOMS[k].advice) };
+}
+
+/* private symptom history; kept on this device and only exported on request */
+const SymptomHistory = {
+  KEY: 'symptomHistory',
+
+  all() {
+    return Storage.get(this.KEY, []);
+  },
+  add(check) {
+    const entry = Object.assign({ id: uid('s'), at: new Date().toISOString() }, check);
+    Storage.set(this.KEY, this.all().concat(entry));
+    return entry;
+  },
+  remove(id) {
+    Storage.set(this.KEY, this.all().filter(e => e.id !== id));
+  },
+  clear() {
+    Storage.remove(this.KEY);
+  },
+  // one row per check, readable without the app
+  csv() {
+    const label = (list, id) => (list.find(x => x.id === id) || {}).label || '';
+    return toCsv([['date', 'symptoms', 'severity', 'duration', 'answered yes', 'triage', 'red flags', 'note']].concat(
+      this.all().map(e => [
+        new Date(e.at).toLocaleString(),
+        e.symptoms.map(k => (SYMPTOMS[k] || { name: k }).name).join('; '),
+        label(SYMPTOM_SEVERITIES, e.severity),
+        label(SYMPTOM_DURATIONS, e.duration),
+        e.answers.map(id => (SYMPTOM_QUESTIONS.find(q => q.id === id) || { text: id }).text).join('; '),
+        triageLabel(e.level),
+        e.redFlags.join('; '),
+        e.note
+      ])));
+  }
+};
+
+let lastSymptomCheck = null;
+
+function readSymptomForm() {
+  return {
+    symptoms: Array.from(document.querySelectorAll('#symptomSel input:checked')).map(i => i.value),
+    duration: document.getElementById('symptomDuration').value,
+    severity: document.getElementById('symptomSeverity').value,
+    answers: Array.from(document.querySelectorAll('#symptomQuestions input:checked')).map(i => i.value)
+  };
+}
+
+/* only ask the follow-ups that apply to the ticked symptoms; keep earlier answers */
+function renderSymptomQuestions() {
+  const box = document.getElementById('symptomQuestions');
+  if (!box) return;
+  const { symptoms, answers } = readSymptomForm();
+  const asked = SYMPTOM_QUESTIONS.filter(q => !q.symptoms.length || q.symptoms.some(k => symptoms.includes(k)));
+  box.innerHTML = symptoms.length ? asked.map(q =>
+    `<label><input type="checkbox" value="${q.id}"${answers.includes(q.id) ? ' checked' : ''}> ${escapeHtml(q.text)}</label>`).join('') : '';
+}
+
+function renderSymptomResult(check) {
+  const box = document.getElementById('symptomAdvice');
+  if (!box) return;
+  const level = TRIAGE_LEVELS[check.level];
+  box.className = 'card tiny triage triage-' + check.level;
+  box.setAttribute('role', check.level === 'urgent' ? 'alert' : 'status');
+  box.innerHTML = `
+    ${check.redFlags.length ? `<div class="triage-flags"><strong>⚠ Red flag:</strong> ${check.redFlags.map(escapeHtml).join('; ')}</div>` : ''}
+    <div class="triage-level">${level.label}</div>
+    <div>${level.advice}</div>
+    ${check.level === 'urgent' ? '' : `<ul style="margin:6px 0 0 16px;padding:0">${check.advice.map(a => `<li>${escapeHtml(a)}</li>`).join('')}</ul>`}
+    <div style="display:flex;gap:8px;align-items:center;margin-top:8px">
+      <input id="symptomNote" placeholder="note for your doctor (optional)" style="flex:1;padding:6px;border-radius:8px;border:1px solid #eef6fb">
+      <button class="btn-ghost" id="saveSymptomCheck">Save to history</button>
+    </div>
+    <div class="muted" style="margin-top:6px">Simulated guidance, not a diagnosis.</div>`;
+}
+
+function renderSymptomHistory() {
+  const list = document.getElementById('symptomHistory');
+  if (!list) return;
+  const entries = SymptomHistory.all();
+  document.getElementById('exportSymptoms').disabled = !entries.length;
+  document.getElementById('clearSymptoms').disabled = !entries.length;
+  list.innerHTML = entries.slice().reverse().map(e => `<li class="tiny" data-id="${escapeHtml(e.id)}" style="padding:6px 0;display:flex;justify-content:space-between;gap:8px">
+      <span><strong class="triage-text-${escapeHtml(e.level)}">${escapeHtml(triageLabel(e.level))}</strong> — ${escapeHtml(e.symptoms.map(k => (SYMPTOMS[k] || { name: k }).name).join(', '))}
+        <span class="muted">${new Date(e.at).toLocaleDateString()}${e.note ? ' · ' + escapeHtml(e.note) : ''}</span></span>
+      <button class="btn-ghost" data-action="delete" aria-label="Delete this check">×</button>
+    </li>`).join('') || '<div class="tiny muted">No saved checks</div>';
+}
+
+function initSymptomChecker() {
+  const btn = document.getElementById('checkSymptom');
+  if (!btn) return;
+  const option = o => `<option value="${o.id}">${o.label}</option>`;
+  document.getElementById('symptomSel').insertAdjacentHTML('beforeend', Object.keys(SYMPTOMS).map(k =>
+    `<label><input type="checkbox" value="${k}"> ${SYMPTOMS[k].name}</label>`).join(''));
+  document.getElementById('symptomDuration').innerHTML = SYMPTOM_DURATIONS.map(option).join('');
+  document.getElementById('symptomSeverity').innerHTML = SYMPTOM_SEVERITIES.map(option).join('');
+  document.getElementById('symptomSel').addEventListener('change', renderSymptomQuestions);
+
+  const box = document.getElementById('symptomAdvice');
+  btn.addEventListener('click', () => {
+    const input = readSymptomForm();
+    if (!input.symptoms.length) {
+      box.className = 'card tiny muted';
+      box.textContent = 'Tick at least one symptom to get guidance.';
+      lastSymptomCheck = null;
+      return;
+    }
+    lastSymptomCheck = Object.assign(input, triageSymptoms(input));
+    renderSymptomResult(lastSymptomCheck);
+    // the activity log stays vague on purpose; details live in the private history
+    logActivity('Symptom check: ' + TRIAGE_LEVELS[lastSymptomCheck.level].label, { type: 'symptom.check' });
+  });
+
+  box.addEventListener('click', e => {
+    if (e.target.id !== 'saveSymptomCheck' || !lastSymptomCheck) return;
+    const { symptoms, duration, severity, answers, level, redFlags } = lastSymptomCheck;
+    SymptomHistory.add({ symptoms, duration, severity, answers, level, redFlags, note: document.getElementById('symptomNote').value.trim() });
+    e.target.disabled = true;
+    e.target.textContent = 'Saved';
+    renderSymptomHistory();
+  });
+
+  document.getElementById('symptomHistory').addEventListener('click', e => {
+    const del = e.target.closest('[data-action="delete"]');
+    if (!del) return;
+    SymptomHistory.remove(del.closest('[data-id]').dataset.id);
+    renderSymptomHistory();
+  });
+  document.getElementById('exportSymptoms').addEventListener('click', () => {
+    downloadFile(`healthsync-symptoms-${dateKey()}.csv`, SymptomHistory.csv(), 'text/csv');
+    logActivity('Exported symptom history', { type: 'symptom.export' });
+  });
+  document.getElementById('clearSymptoms').addEventListener('click', () => {
+    const saved = SymptomHistory.all();
+    SymptomHistory.clear();
+    renderSymptomHistory();
+    showToast('Symptom history cleared.', {
+      actions: [{ label: 'Undo', onClick: () => {
+        Storage.set(SymptomHistory.KEY, saved.concat(SymptomHistory.all()));
+        renderSymptomHistory();
+      } }]
+    });
+  });
+  renderSymptomHistory();
+}
+
+/* ============================================================
+   Motivational quotes rotation
+   ============================================================ */
+const QUOTES = [
+  "Health is the greatest wealth.",
+  "Consistency beats intensity.",
   "Small daily habits lead to big changes.",
   "Take care of your body — it’s the only place you have to live.",
   "A short walk is better than no walk.",
@@ -571,78 +4256,349 @@ function initQuotes() {
   if (newQuoteBtn) newQuoteBtn.addEventListener('click', () => {
     const q = QUOTES[Math.floor(Math.random() * QUOTES.length)];
     quoteEl.textContent = q;
-    logActivity('Quote refreshed');
+    logActivity('Quote refreshed', { type: 'app.quote' });
   });
 }
 
 /* ============================================================
-   Add Log quick action (console-like prompt for demo)
+   Sleep — consistency, sleep debt and the weekly report
+   ============================================================ */
+/* `sleep` on a day's record is the night that ended that morning */
+const SLEEP_QUALITY = { 1: 'Very poor', 2: 'Poor', 3: 'OK', 4: 'Good', 5: 'Great' };
+const SLEEP_DEBT_DAYS = 14;
+
+const Sleep = {
+  // logged nights in the last `days` days, oldest first
+  nights(days = 7, end = new Date()) {
+    return DailyRecords.range(days, end).filter(n => n.record.sleep !== null);
+  },
+  // 100 minus the average spread (std. deviation, minutes) of bed and wake times; null under 3 nights
+  consistency(nights) {
+    const timed = nights.filter(n => n.record.sleepLog);
+    if (timed.length < 3) return null;
+    const mins = t => { const [h, m] = t.split(':').map(Number); return h * 60 + m; };
+    // measure bedtimes from noon so 23:30 and 00:30 are an hour apart, not 23
+    const bed = timed.map(n => { const m = mins(n.record.sleepLog.bed); return m < 12 * 60 ? m + 24 * 60 : m; });
+    const wake = timed.map(n => mins(n.record.sleepLog.wake));
+    const sd = arr => {
+      const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
+      return Math.sqrt(arr.reduce((a, b) => a + (b - mean) * (b - mean), 0) / arr.length);
+    };
+    const spread = Math.round((sd(bed) + sd(wake)) / 2);
+    return { score: Math.max(0, 100 - spread), spread };
+  },
+  // hours short of the goal over the last fortnight; longer nights pay it back
+  debt(goal = Profile.goals().sleep, end = new Date()) {
+    const owed = this.nights(SLEEP_DEBT_DAYS, end).reduce((sum, n) => sum + (goal - n.record.sleep), 0);
+    return Math.max(0, tidyNumber(owed, 1));
+  },
+  report(days = 7) {
+    const goal = Profile.goals().sleep;
+    const nights = this.nights(days);
+    const avg = (list, f) => (list.length ? tidyNumber(list.reduce((sum, n) => sum + f(n), 0) / list.length, 1) : null);
+    const rated = nights.filter(n => n.record.sleepLog && n.record.sleepLog.quality);
+    const counted = nights.filter(n => n.record.sleepLog && n.record.sleepLog.awakenings !== null && n.record.sleepLog.awakenings !== undefined);
+    return {
+      goal,
+      days,
+      logged: nights.length,
+      avgHours: avg(nights, n => n.record.sleep),
+      metGoal: nights.filter(n => n.record.sleep >= goal).length,
+      avgQuality: avg(rated, n => n.record.sleepLog.quality),
+      avgAwakenings: avg(counted, n => n.record.sleepLog.awakenings),
+      consistency: this.consistency(nights),
+      debt: this.debt(goal)
+    };
+  },
+  // the checklist item follows the logged night: ticked at or over the goal, cleared under it
+  syncChecklist(date) {
+    DailyRecords.update(date, rec => (rec.sleep === null ? {} : { checks: Object.assign(rec.checks, { sleep7: rec.sleep >= Profile.goals().sleep }) }));
+  }
+};
+
+function renderSleepReport() {
+  const box = document.getElementById('sleepReport');
+  if (!box) return;
+  const r = Sleep.report();
+  if (!r.logged) {
+    box.innerHTML = '<div class="tiny muted">No sleep logged this week — use “Log sleep” after you wake up.</div>';
+    return;
+  }
+  const stat = (label, value, note = '') => `<div class="sleep-stat"><div class="tiny muted">${label}</div><strong>${value}</strong>${note ? `<div class="tiny muted">${note}</div>` : ''}</div>`;
+  box.innerHTML = `<div class="sleep-stats">
+      ${stat('Average', `${r.avgHours} h`, `goal ${r.goal} h`)}
+      ${stat('Nights at goal', `${r.metGoal} / ${r.logged}`, `${r.logged} of ${r.days} logged`)}
+      ${stat('Consistency', r.consistency ? `${r.consistency.score}` : '—', r.consistency ? `±${r.consistency.spread} min` : 'needs 3 timed nights')}
+      ${stat('Sleep debt', `${r.debt} h`, `last ${SLEEP_DEBT_DAYS} nights`)}
+      ${stat('Quality', r.avgQuality ? `${r.avgQuality} / 5` : '—', r.avgQuality ? SLEEP_QUALITY[Math.round(r.avgQuality)] : 'not rated')}
+      ${stat('Awakenings', r.avgAwakenings === null ? '—' : r.avgAwakenings, 'per night')}
+    </div>
+    <div class="sleep-bars">${Sleep.nights(7).length ? DailyRecords.range(7).map(n => {
+      const h = n.record.sleep;
+      const pct = h === null ? 0 : Math.min(100, Math.round(h / 12 * 100));
+      return `<div title="${n.date}: ${h === null ? 'not logged' : h + ' h'}"><i class="${h !== null && h >= r.goal ? 'met' : ''}" style="height:${pct}%"></i>
+        <span class="tiny muted">${n.day.toLocaleDateString(undefined, { weekday: 'narrow' })}</span></div>`;
+    }).join('') : ''}</div>`;
+}
+
+/* ============================================================
+   Add Log dialog — steps, sleep, water and weight for any day
    ============================================================ */
-function initAddLogQuick() {
+/* accepted ranges; water and weight limits are canonical (ml, kg) */
+const LOG_LIMITS = {
+  steps: { min: 0, max: 100000 },
+  sleep: { min: 0.5, max: 16 },
+  awakenings: { max: 20 },
+  water: { min: 0, max: 10000 },
+  weight: { min: 20, max: 400 },
+  waist: { min: 30, max: 250 }
+};
+const LOG_HISTORY_DAYS = 30;
+
+/* rough label from duration against the sleep goal */
+function sleepQuality(hours, goal = Profile.goals().sleep) {
+  if (hours >= goal) return 'Good';
+  if (hours >= goal - 1) return 'Fair';
+  return 'Poor';
+}
+
+/* the dialog's fields for `date`; inputs are in display units */
+function fillLogForm(form, date) {
+  const rec = DailyRecords.get(date);
+  const p = Profile.get();
+  form.elements.date.max = dateKey();
+  form.elements.date.value = date;
+  form.elements.steps.value = rec.steps || '';
+  form.elements.bed.value = rec.sleepLog ? rec.sleepLog.bed : '';
+  form.elements.wake.value = rec.sleepLog ? rec.sleepLog.wake : '';
+  form.elements.awakenings.value = rec.sleepLog && rec.sleepLog.awakenings !== null && rec.sleepLog.awakenings !== undefined ? rec.sleepLog.awakenings : '';
+  form.elements.quality.value = rec.sleepLog && rec.sleepLog.quality ? String(rec.sleepLog.quality) : '';
+  // older records only have hours; show them until times are entered
+  form.elements.bed.dataset.hours = rec.sleep === null ? '' : rec.sleep;
+  form.elements.water.value = rec.water ? Units.waterValue(rec.water, p) : '';
+  form.elements.weight.value = rec.weight ? (Units.imperial(p) ? Units.kgToLb(rec.weight) : tidyNumber(rec.weight, 1)) : '';
+  form.elements.waist.value = rec.waist ? (Units.imperial(p) ? tidyNumber(rec.waist / Units.CM_PER_IN, 1) : tidyNumber(rec.waist, 1)) : '';
+  renderLogFormHints(form);
+  renderLogHistory(date);
+}
+
+function renderLogFormHints(form) {
+  const p = Profile.get();
+  form.querySelector('[data-unit-label="water"]').textContent = Units.waterLabel(p);
+  form.querySelector('[data-unit-label="weight"]').textContent = Units.weightLabel(p);
+  form.querySelector('[data-unit-label="waist"]').textContent = Units.lengthLabel(p);
+  const hint = document.getElementById('logSleepHint');
+  const { bed, wake } = form.elements;
+  if (bed.value && wake.value) {
+    const hours = hoursBetween(bed.value, wake.value);
+    hint.textContent = `${hours} h — ${sleepQuality(hours)} for your ${Profile.goals().sleep} h goal`;
+  } else if (bed.dataset.hours && !bed.value && !wake.value) {
+    hint.textContent = `${bed.dataset.hours} h logged (no times)`;
+  } else {
+    hint.textContent = bed.value || wake.value ? 'Enter both times' : 'Not logged';
+  }
+}
+
+/* read and validate the form; returns { date, patch } or { error, field } */
+function readLogForm(form) {
+  const f = form.elements;
+  const p = Profile.get();
+  // a number input holding text reports '' as its value, with validity.badInput set
+  const num = el => (el.validity && el.validity.badInput ? NaN : el.value.trim() === '' ? null : Number(el.value));
+  const date = f.date.value;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date > dateKey()) return { error: 'Pick a date that is not in the future.', field: f.date };
+
+  const steps = num(f.steps);
+  if (steps !== null && (!Number.isInteger(steps) || steps < LOG_LIMITS.steps.min || steps > LOG_LIMITS.steps.max)) {
+    return { error: `Steps must be a whole number from 0 to ${LOG_LIMITS.steps.max.toLocaleString()}.`, field: f.steps };
+  }
+
+  let sleep = f.bed.dataset.hours === '' ? null : Number(f.bed.dataset.hours);
+  let sleepLog = null;
+  if (f.bed.value || f.wake.value) {
+    if (!f.bed.value || !f.wake.value) return { error: 'Enter both bedtime and wake time, or leave both empty.', field: f.bed.value ? f.wake : f.bed };
+    sleep = hoursBetween(f.bed.value, f.wake.value);
+    if (sleep < LOG_LIMITS.sleep.min || sleep > LOG_LIMITS.sleep.max) {
+      return { error: `That is ${sleep} h of sleep — check the times (${LOG_LIMITS.sleep.min}–${LOG_LIMITS.sleep.max} h allowed).`, field: f.wake };
+    }
+    const awakenings = num(f.awakenings);
+    if (awakenings !== null && (!Number.isInteger(awakenings) || awakenings < 0 || awakenings > LOG_LIMITS.awakenings.max)) {
+      return { error: `Awakenings must be a whole number from 0 to ${LOG_LIMITS.awakenings.max}.`, field: f.awakenings };
+    }
+    sleepLog = { bed: f.bed.value, wake: f.wake.value, awakenings, quality: f.quality.value ? Number(f.quality.value) : null };
+  }
+
+  const waterIn = num(f.water);
+  const water = waterIn === null ? 0 : Units.waterFromValue(waterIn, p);
+  if (waterIn !== null && (!Number.isFinite(waterIn) || water < LOG_LIMITS.water.min || water > LOG_LIMITS.water.max)) {
+    return { error: `Water must be between 0 and ${Units.formatWater(LOG_LIMITS.water.max, p)}.`, field: f.water };
+  }
+
+  const weightIn = num(f.weight);
+  const weight = weightIn === null ? null : Units.imperial(p) ? Units.lbToKg(weightIn) : weightIn;
+  if (weight !== null && (!Number.isFinite(weight) || weight < LOG_LIMITS.weight.min || weight > LOG_LIMITS.weight.max)) {
+    return { error: `Weight must be between ${Units.formatWeight(LOG_LIMITS.weight.min, p)} and ${Units.formatWeight(LOG_LIMITS.weight.max, p)}.`, field: f.weight };
+  }
+
+  const waistIn = num(f.waist);
+  const waist = waistIn === null ? null : Units.imperial(p) ? tidyNumber(waistIn * Units.CM_PER_IN, 1) : waistIn;
+  if (waist !== null && (!Number.isFinite(waist) || waist < LOG_LIMITS.waist.min || waist > LOG_LIMITS.waist.max)) {
+    return { error: `Waist must be between ${Units.formatLength(LOG_LIMITS.waist.min, p)} and ${Units.formatLength(LOG_LIMITS.waist.max, p)}.`, field: f.waist };
+  }
+
+  return { date, patch: { steps: steps || 0, sleep, sleepLog, water, weight, waist } };
+}
+
+/* recent days with anything logged, newest first, each with an Edit button */
+function renderLogHistory(selected) {
+  const list = document.getElementById('logHistory');
+  if (!list) return;
+  const rows = DailyRecords.range(LOG_HISTORY_DAYS).reverse()
+    .filter(({ record: r }) => r.steps || r.sleep !== null || r.water || r.weight || r.waist);
+  list.innerHTML = rows.map(({ date, day, record: r }) => `<li class="tiny meal-item${date === selected ? ' log-selected' : ''}" data-date="${date}">
+      <span><strong>${day.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</strong>
+        <span class="muted">${[r.steps ? `${r.steps.toLocaleString()} steps` : '', r.sleep !== null ? `${r.sleep} h sleep` : '',
+          r.water ? Units.formatWater(r.water) : '', r.weight ? Units.formatWeight(r.weight) : '', r.waist ? `waist ${Units.formatLength(r.waist)}` : ''].filter(Boolean).join(' · ')}</span></span>
+      <button type="button" class="btn-ghost" data-action="edit">Edit</button>
+    </li>`).join('') || '<li class="tiny muted">Nothing logged in the last 30 days</li>';
+}
+
+function openLogDialog(date = dateKey(), focusField = 'steps') {
+  const dialog = document.getElementById('logDialog');
+  if (!dialog) return;
+  const form = document.getElementById('logForm');
+  document.getElementById('logMsg').textContent = '';
+  fillLogForm(form, date);
+  if (typeof dialog.showModal === 'function') dialog.showModal();
+  else dialog.setAttribute('open', '');
+  form.elements[focusField].focus();
+}
+
+function closeLogDialog() {
+  const dialog = document.getElementById('logDialog');
+  if (typeof dialog.close === 'function') dialog.close();
+  else dialog.removeAttribute('open');
+  const opener = document.getElementById('addLogBtn');
+  if (opener) opener.focus();
+}
+
+function initLogDialog() {
   const addLogBtn = document.getElementById('addLogBtn');
-  if (!addLogBtn) return;
-  addLogBtn.addEventListener('click', () => {
-    const type = prompt('Add log type (steps/sleep/water):', 'steps');
-    if (!type) return;
-    if (type === 'steps') {
-      const v = parseInt(prompt('Enter steps number:', '3500') || '0', 10);
-      Storage.set('stepsToday', v);
-      // update charts if present (put into Sunday slot)
-      if (stepsChart) {
-        const dayIndex = (new Date()).getDay() - 1;
-        const idx = dayIndex >= 0 ? dayIndex : 6;
-        stepsChart.data.datasets[0].data[idx] = v;
-        stepsChart.update();
-      }
-      renderInsights();
-      logActivity('Steps set to ' + v);
-    } else if (type === 'sleep') {
-      const v = parseFloat(prompt('Hours of sleep:', '6.5') || '0');
-      Storage.set('lastSleep', v);
-      renderInsights();
-      logActivity('Sleep set to ' + v);
-    } else if (type === 'water') {
-      const v = parseInt(prompt('Number of glasses:', '3') || '0', 10);
-      Storage.set('waterCount', v);
-      renderInsights();
-      updateHydrationProgressUI();
-      logActivity('Water set to ' + v);
-    } else {
-      alert('Unknown type');
+  const form = document.getElementById('logForm');
+  if (!addLogBtn || !form) return;
+  const msg = document.getElementById('logMsg');
+  addLogBtn.addEventListener('click', () => openLogDialog());
+  const logSleepBtn = document.getElementById('logSleepBtn');
+  if (logSleepBtn) logSleepBtn.addEventListener('click', () => openLogDialog(dateKey(), 'bed'));
+  document.getElementById('logCancel').addEventListener('click', closeLogDialog);
+
+  form.elements.date.addEventListener('change', () => {
+    if (form.elements.date.value) fillLogForm(form, form.elements.date.value);
+  });
+  form.addEventListener('input', e => {
+    if (e.target.name !== 'date') renderLogFormHints(form);
+  });
+
+  // per-field clear buttons delete that value for the day when saved
+  form.addEventListener('click', e => {
+    const clear = e.target.closest('[data-clear]');
+    if (!clear) return;
+    clear.dataset.clear.split(' ').forEach(name => { form.elements[name].value = ''; });
+    if (clear.dataset.clear.includes('bed')) { form.elements.awakenings.value = ''; form.elements.quality.value = ''; }
+    if (clear.dataset.clear.includes('bed')) form.elements.bed.dataset.hours = '';
+    renderLogFormHints(form);
+  });
+
+  document.getElementById('logHistory').addEventListener('click', e => {
+    const edit = e.target.closest('[data-action="edit"]');
+    if (!edit) return;
+    msg.textContent = '';
+    fillLogForm(form, edit.closest('[data-date]').dataset.date);
+    form.elements.steps.focus();
+  });
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const res = readLogForm(form);
+    if (res.error) {
+      msg.textContent = res.error;
+      msg.style.color = '#d97706';
+      res.field.focus();
+      return;
     }
+    const { date, patch } = res;
+    const before = DailyRecords.get(date);
+    DailyRecords.update(date, patch);
+    // the latest weight is the profile weight used by calculators
+    if (patch.weight && date === dateKey()) Profile.save({ weightKg: patch.weight });
+    if (date === dateKey() && patch.water > before.water) WaterReminders.noteDrink();
+
+    const changes = [];
+    if (patch.steps !== before.steps) changes.push(`steps ${patch.steps.toLocaleString()}`);
+    if (patch.sleep !== before.sleep) changes.push(patch.sleep === null ? 'sleep cleared' : `sleep ${patch.sleep} h`);
+    else if (JSON.stringify(patch.sleepLog) !== JSON.stringify(before.sleepLog)) changes.push('sleep details');
+    if (patch.water !== before.water) changes.push(`water ${Units.formatWater(patch.water)}`);
+    if (patch.weight !== before.weight) changes.push(patch.weight === null ? 'weight cleared' : `weight ${Units.formatWeight(patch.weight)}`);
+    if (patch.waist !== before.waist) changes.push(patch.waist === null ? 'waist cleared' : `waist ${Units.formatLength(patch.waist)}`);
+    msg.textContent = changes.length ? 'Saved.' : 'Nothing changed.';
+    msg.style.color = changes.length ? '#059669' : '#6b7280';
+    renderLogHistory(date);
+    if (!changes.length) return;
+
+    if (patch.sleep !== before.sleep) Sleep.syncChecklist(date);
+    renderChecklist();
+    renderInsights();
+    renderChallenges();
+    renderWorkouts();
+    renderSleepReport();
+    renderBodyMetrics();
+    if (patch.weight && date === dateKey()) onProfileChanged();
+    logActivity(`Log for ${date === dateKey() ? 'today' : date}: ${changes.join(', ')}`, { type: 'log.save', payload: { date } });
   });
 }
 
 /* ============================================================
-   Small periodic updates (simulate heartbeat, charts random walk)
+   Small periodic updates (insights refresh)
    ============================================================ */
 function startPeriodicSimulations() {
   // update insights every minute
   setInterval(renderInsights, 60 * 1000);
-
-  // simulate steps chart random updates
-  setInterval(() => {
-    if (!stepsChart) return;
-    const idx = new Date().getDay() - 1; // 0-6
-    if (idx < 0) return;
-    const delta = Math.round((Math.random() - 0.4) * 1000);
-    stepsChart.data.datasets[0].data[idx] = Math.max(0, (stepsChart.data.datasets[0].data[idx] || 2000) + delta);
-    stepsChart.update();
-  }, 45 * 1000);
 }
 
 /* ============================================================
-   PWA: register service worker if present
+   PWA: service worker registration + "update available" prompt
    ============================================================ */
+function promptForUpdate(worker) {
+  showToast('A new version of HealthSync+ is available.', {
+    timeout: 0,
+    actions: [{ label: 'Reload', onClick: () => worker.postMessage({ type: 'SKIP_WAITING' }) }]
+  });
+}
+
 function tryRegisterServiceWorker() {
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('/service-worker.js').then(reg => {
-      console.log('Service worker registered', reg);
-      logActivity('Service worker registered (if available)');
-    }).catch(err => {
-      console.warn('Service worker register failed', err);
+  if (!('serviceWorker' in navigator)) return;
+  // relative path so the app also works when served from a sub-directory
+  navigator.serviceWorker.register('service-worker.js').then(reg => {
+    // an update that finished installing while the page was closed
+    if (reg.waiting && navigator.serviceWorker.controller) promptForUpdate(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        // no controller means this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) promptForUpdate(worker);
+      });
     });
-  }
+  }).catch(err => {
+    console.warn('Service worker register failed', err);
+  });
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
 }
 
 /* ============================================================
@@ -650,23 +4606,282 @@ function tryRegisterServiceWorker() {
    ============================================================ */
 function bootstrapDemoData() {
   if (!Storage.get('hasDemo')) {
-    Storage.set('stepsToday', 3200);
-    Storage.set('lastSleep', 6.2);
-    Storage.set('waterCount', 2);
-    Storage.set('challengeHydration', 3);
-    Storage.set('moodLogs', [{ mood: 'Neutral', note: 'Busy day', when: nowStr() }]);
+    DailyRecords.updateToday({ steps: 3200, sleep: 6.2, sleepLog: { bed: '00:30', wake: '06:42', awakenings: 1, quality: 3 }, water: 500 });
+    MoodJournal.add({ mood: 'Neutral', intensity: 3, tags: ['work'], note: 'Busy day' });
     Storage.set('hasDemo', true);
-    logActivity('Demo data loaded');
+    logActivity('Demo data loaded', { type: 'app.demo' });
   } else {
-    logActivity('App opened');
+    logActivity('App opened', { type: 'app.open' });
   }
 }
 
 /* ============================================================
-   Hydration progress UI refresh
+   Health report — printable / downloadable summary for a date range
    ============================================================ */
-function updateHydrationProgress() {
-  updateHydrationProgressUI();
+const REPORT_MAX_DAYS = 366;
+const REPORT_PRESETS = {
+  week: () => ({ from: dateKey(addDays(new Date(), -6)), to: dateKey() }),
+  month: () => ({ from: dateKey(addDays(new Date(), -29)), to: dateKey() }),
+  lastMonth: () => {
+    const now = new Date();
+    return { from: dateKey(new Date(now.getFullYear(), now.getMonth() - 1, 1)), to: dateKey(new Date(now.getFullYear(), now.getMonth(), 0)) };
+  }
+};
+
+/* first half vs. second half of the values; null with fewer than 4 */
+function reportTrend(values) {
+  if (values.length < 4) return null;
+  const half = Math.floor(values.length / 2);
+  const mean = list => list.reduce((a, b) => a + b, 0) / list.length;
+  const first = mean(values.slice(0, half));
+  const last = mean(values.slice(values.length - half));
+  const pct = first ? Math.round((last - first) / first * 100) : 0;
+  return { dir: Math.abs(pct) < 5 ? 'flat' : pct > 0 ? 'up' : 'down', pct };
+}
+
+const HealthReport = {
+  // everything the report shows, from the same stores the dashboard reads
+  build(from, to) {
+    const end = new Date(to + 'T12:00');
+    const days = Math.round((end - new Date(from + 'T12:00')) / 86400000) + 1;
+    const rows = DailyRecords.range(days, end);
+    const goals = Profile.goals();
+    const inRange = iso => { const d = iso && dateKey(new Date(iso)); return !!d && d >= from && d <= to; };
+    const avg = list => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+
+    const steps = rows.map(r => ({ date: r.date, value: totalSteps(r.record) }));
+    const stepDays = steps.filter(r => r.value > 0);
+    const nights = rows.filter(r => r.record.sleep !== null);
+    const waterDays = rows.filter(r => r.record.water > 0);
+
+    const moods = MoodJournal.all().filter(m => { const d = moodEntryDate(m); return d && dateKey(d) >= from && dateKey(d) <= to; });
+    const moodCounts = {};
+    Object.keys(MOOD_SCORES).forEach(k => { moodCounts[k] = 0; });
+    moods.forEach(m => { moodCounts[m.mood] = (moodCounts[m.mood] || 0) + 1; });
+
+    const measurements = Body.measurements();
+    const weights = Body.trend(measurements).filter(t => t.date >= from && t.date <= to).map(t => {
+      const h = Body.heightOn(t.date, measurements);
+      const bmi = h ? calcBmi(t.weight, h) : null;
+      return Object.assign({ bmi, category: bmi ? bmiCategory(bmi) : null }, t);
+    });
+
+    const sessions = Breathing.sessions().filter(b => inRange(b.at));
+    return {
+      from, to, days, goals,
+      generatedAt: new Date().toISOString(),
+      profile: Profile.get(),
+      steps: {
+        daily: steps,
+        logged: stepDays.length,
+        avg: stepDays.length ? Math.round(avg(stepDays.map(r => r.value))) : null,
+        total: steps.reduce((sum, r) => sum + r.value, 0),
+        metGoal: stepDays.filter(r => r.value >= goals.steps).length,
+        best: stepDays.reduce((best, r) => (!best || r.value > best.value ? r : best), null),
+        trend: reportTrend(stepDays.map(r => r.value))
+      },
+      sleep: {
+        daily: rows.map(r => ({ date: r.date, value: r.record.sleep })),
+        logged: nights.length,
+        avg: nights.length ? tidyNumber(avg(nights.map(r => r.record.sleep)), 1) : null,
+        metGoal: nights.filter(r => r.record.sleep >= goals.sleep).length,
+        consistency: Sleep.consistency(nights),
+        trend: reportTrend(nights.map(r => r.record.sleep))
+      },
+      water: {
+        logged: waterDays.length,
+        avg: waterDays.length ? Math.round(avg(waterDays.map(r => r.record.water))) : null,
+        metGoal: waterDays.filter(r => r.record.water >= goals.water).length,
+        trend: reportTrend(waterDays.map(r => r.record.water))
+      },
+      mood: {
+        entries: moods.length,
+        counts: moodCounts,
+        avg: moods.length ? tidyNumber(avg(moods.map(m => MOOD_SCORES[m.mood] || 3)), 1) : null
+      },
+      weight: {
+        entries: weights,
+        change: weights.length > 1 ? tidyNumber(weights[weights.length - 1].weight - weights[0].weight, 1) : null
+      },
+      challenges: Challenges.state().history.filter(c => c.status === 'completed' && c.endDate >= from && c.endDate <= to),
+      breathing: {
+        sessions: sessions.length,
+        completed: sessions.filter(b => b.completed).length,
+        minutes: Math.round(sessions.reduce((sum, b) => sum + b.seconds, 0) / 60)
+      },
+      symptoms: SymptomHistory.all().filter(e => inRange(e.at)),
+      insights: Insights.evaluate()
+    };
+  }
+};
+
+/* inline SVG bars so the chart survives printing and the downloaded file */
+function reportBars(daily, { goal, unit = '' } = {}) {
+  const values = daily.map(d => d.value || 0);
+  const max = Math.max(goal || 0, ...values) || 1;
+  const w = 600, h = 80, gap = daily.length > 60 ? 0 : 2;
+  const bw = w / daily.length;
+  const bars = daily.map((d, i) => {
+    const bh = Math.round((d.value || 0) / max * (h - 4));
+    const met = goal && d.value >= goal;
+    return `<rect x="${(i * bw).toFixed(1)}" y="${h - bh}" width="${Math.max(1, bw - gap).toFixed(1)}" height="${bh}" fill="${met ? '#2bb7b2' : '#9fb3c8'}"><title>${d.date}: ${d.value === null ? 'not logged' : d.value.toLocaleString() + unit}</title></rect>`;
+  }).join('');
+  const goalLine = goal ? `<line x1="0" x2="${w}" y1="${h - Math.round(goal / max * (h - 4))}" y2="${h - Math.round(goal / max * (h - 4))}" stroke="#3aa0ff" stroke-dasharray="4 3"/>` : '';
+  return `<svg class="report-bars" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" role="img" aria-label="Daily values">${bars}${goalLine}</svg>`;
+}
+
+function reportTrendText(trend) {
+  if (!trend) return '';
+  if (trend.dir === 'flat') return ' · steady';
+  return ` · ${trend.dir === 'up' ? '↑' : '↓'} ${Math.abs(trend.pct)}% vs. first half`;
+}
+
+function reportHtml(r) {
+  const p = r.profile;
+  const fmtDate = d => new Date(d + 'T12:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  const stat = (label, value, note = '') => `<div class="report-stat"><div class="report-label">${label}</div><strong>${value}</strong>${note ? `<div class="report-note">${note}</div>` : ''}</div>`;
+  const none = text => `<p class="report-note">${text}</p>`;
+  const moodTotal = r.mood.entries || 1;
+
+  return `
+  <header class="report-head">
+    <h1>HealthSync+ health report</h1>
+    <div>${fmtDate(r.from)} – ${fmtDate(r.to)} (${r.days} days)</div>
+    <div class="report-note">Generated ${new Date(r.generatedAt).toLocaleString()}. Self-reported data; not a medical record.</div>
+  </header>
+
+  <h2>Steps</h2>
+  <div class="report-stats">
+    ${stat('Daily average', r.steps.avg === null ? '—' : r.steps.avg.toLocaleString(), `goal ${r.goals.steps.toLocaleString()}${reportTrendText(r.steps.trend)}`)}
+    ${stat('Days at goal', `${r.steps.metGoal} / ${r.steps.logged}`, `${r.steps.logged} of ${r.days} days logged`)}
+    ${stat('Total', r.steps.total.toLocaleString())}
+    ${stat('Best day', r.steps.best ? r.steps.best.value.toLocaleString() : '—', r.steps.best ? fmtDate(r.steps.best.date) : '')}
+  </div>
+  ${r.steps.logged ? reportBars(r.steps.daily, { goal: r.goals.steps, unit: ' steps' }) : ''}
+
+  <h2>Sleep</h2>
+  <div class="report-stats">
+    ${stat('Average', r.sleep.avg === null ? '—' : `${r.sleep.avg} h`, `goal ${r.goals.sleep} h${reportTrendText(r.sleep.trend)}`)}
+    ${stat('Nights at goal', `${r.sleep.metGoal} / ${r.sleep.logged}`, `${r.sleep.logged} of ${r.days} nights logged`)}
+    ${stat('Consistency', r.sleep.consistency ? r.sleep.consistency.score : '—', r.sleep.consistency ? `±${r.sleep.consistency.spread} min bed/wake` : 'needs 3 timed nights')}
+  </div>
+  ${r.sleep.logged ? reportBars(r.sleep.daily, { goal: r.goals.sleep, unit: ' h' }) : ''}
+
+  <h2>Water</h2>
+  <div class="report-stats">
+    ${stat('Daily average', r.water.avg === null ? '—' : Units.formatWater(r.water.avg, p), `goal ${Units.formatWater(r.goals.water, p)}${reportTrendText(r.water.trend)}`)}
+    ${stat('Days at goal', `${r.water.metGoal} / ${r.water.logged}`, `${r.water.logged} of ${r.days} days logged`)}
+  </div>
+
+  <h2>Mood</h2>
+  ${r.mood.entries ? `<div class="report-stats">${stat('Entries', r.mood.entries)}${stat('Average', `${r.mood.avg} / 5`)}</div>
+  <table class="report-table"><tbody>${Object.keys(r.mood.counts).map(k => `<tr><td>${escapeHtml(k)}</td><td>${r.mood.counts[k]}</td>
+    <td style="width:60%"><span class="report-meter" style="width:${Math.round(r.mood.counts[k] / moodTotal * 100)}%;background:${MOOD_COLORS[MOOD_SCORES[k]] || '#9fb3c8'}"></span></td></tr>`).join('')}</tbody></table>`
+    : none('No mood entries in this period.')}
+
+  <h2>Weight & BMI</h2>
+  ${r.weight.entries.length ? `<div class="report-stats">
+    ${stat('Latest', Units.formatWeight(r.weight.entries[r.weight.entries.length - 1].weight, p), fmtDate(r.weight.entries[r.weight.entries.length - 1].date))}
+    ${stat('Change', r.weight.change === null ? '—' : `${r.weight.change > 0 ? '+' : ''}${Units.imperial(p) ? Units.kgToLb(r.weight.change) : r.weight.change} ${Units.weightLabel(p)}`)}
+  </div>
+  <table class="report-table"><thead><tr><th>Date</th><th>Weight</th><th>${WEIGHT_TREND_DAYS}-day avg</th><th>BMI</th><th>Category</th></tr></thead><tbody>
+    ${r.weight.entries.map(w => `<tr><td>${fmtDate(w.date)}</td><td>${Units.formatWeight(w.weight, p)}</td><td>${Units.formatWeight(w.avg, p)}</td>
+      <td>${w.bmi === null ? '—' : w.bmi}</td><td>${w.category || '—'}</td></tr>`).join('')}
+  </tbody></table>` : none('No weigh-ins in this period.')}
+
+  <h2>Challenges completed</h2>
+  ${r.challenges.length ? `<ul>${r.challenges.map(c => `<li>${CHALLENGE_TYPES[c.type].name} — ${fmtDate(c.startDate)} to ${fmtDate(c.endDate)}, ${c.met}/${c.duration} days, best streak ${c.bestStreak}</li>`).join('')}</ul>`
+    : none('No challenges completed in this period.')}
+
+  <h2>Breathing & meditation</h2>
+  ${r.breathing.sessions ? `<div class="report-stats">${stat('Sessions', r.breathing.sessions, `${r.breathing.completed} completed`)}${stat('Total time', `${r.breathing.minutes} min`)}</div>`
+    : none('No breathing sessions in this period.')}
+
+  <h2>Symptom checks</h2>
+  ${r.symptoms.length ? `<table class="report-table"><thead><tr><th>Date</th><th>Symptoms</th><th>Triage</th><th>Note</th></tr></thead><tbody>
+    ${r.symptoms.map(e => `<tr><td>${new Date(e.at).toLocaleDateString()}</td><td>${escapeHtml(e.symptoms.map(k => (SYMPTOMS[k] || { name: k }).name).join(', '))}</td>
+      <td>${escapeHtml(triageLabel(e.level))}${e.redFlags.length ? ' (red flags)' : ''}</td><td>${escapeHtml(e.note || '')}</td></tr>`).join('')}
+  </tbody></table>` : none('No symptom checks saved in this period.')}
+
+  <h2>Current insights</h2>
+  ${r.insights.length ? `<ul>${r.insights.map(i => `<li>${escapeHtml(i.text)}</li>`).join('')}</ul>` : none('Nothing flagged.')}`;
+}
+
+let lastReport = null;
+
+function readReportRange() {
+  const preset = document.getElementById('reportPreset').value;
+  const fromEl = document.getElementById('reportFrom');
+  const toEl = document.getElementById('reportTo');
+  if (preset !== 'custom') {
+    const range = REPORT_PRESETS[preset]();
+    fromEl.value = range.from;
+    toEl.value = range.to;
+  }
+  const from = fromEl.value;
+  const to = toEl.value;
+  if (!from || !to) return { error: 'Choose a start and end date.' };
+  if (from > to) return { error: 'The start date must be before the end date.' };
+  if ((new Date(to) - new Date(from)) / 86400000 + 1 > REPORT_MAX_DAYS) return { error: `Reports cover at most ${REPORT_MAX_DAYS} days.` };
+  return { from, to };
+}
+
+function renderReport() {
+  const view = document.getElementById('reportView');
+  const msg = document.getElementById('reportMsg');
+  if (!view) return null;
+  const range = readReportRange();
+  if (range.error) {
+    msg.textContent = range.error;
+    msg.style.color = '#d97706';
+    return null;
+  }
+  msg.textContent = '';
+  lastReport = HealthReport.build(range.from, range.to);
+  view.innerHTML = reportHtml(lastReport);
+  view.hidden = false;
+  return lastReport;
+}
+
+/* stand-alone HTML file with the report styles inlined */
+function reportDocument(r) {
+  const css = (document.getElementById('reportStyles') || {}).textContent || '';
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8">
+<title>HealthSync+ report ${r.from} – ${r.to}</title>
+<style>body{font-family:system-ui,-apple-system,"Segoe UI",Roboto,Arial,sans-serif;margin:32px;color:#0b1320}${css}</style>
+</head><body><div class="report">${reportHtml(r)}</div></body></html>
+`;
+}
+
+function initReports() {
+  const form = document.getElementById('reportForm');
+  if (!form) return;
+  const preset = document.getElementById('reportPreset');
+  const custom = () => { preset.value = 'custom'; };
+  document.getElementById('reportFrom').addEventListener('input', custom);
+  document.getElementById('reportTo').addEventListener('input', custom);
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    renderReport();
+  });
+  document.getElementById('printReport').addEventListener('click', () => {
+    const r = renderReport();
+    if (!r) return;
+    // print styles show only #reportPrint while this class is set
+    document.getElementById('reportPrint').innerHTML = reportHtml(r);
+    document.body.classList.add('printing-report');
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-report'), { once: true });
+    window.print();
+    logActivity(`Printed report (${r.from} to ${r.to})`, { type: 'app.report' });
+  });
+  document.getElementById('downloadReport').addEventListener('click', () => {
+    const r = renderReport();
+    if (!r) return;
+    downloadFile(`healthsync-report-${r.from}-to-${r.to}.html`, reportDocument(r), 'text/html');
+    logActivity(`Downloaded report (${r.from} to ${r.to})`, { type: 'app.report' });
+  });
+  readReportRange();
 }
 
 /* ============================================================
@@ -675,8 +4890,1131 @@ function updateHydrationProgress() {
 function renderRecentLogsAndUI() {
   renderRecentLogs();
   renderMoodList();
+  renderMoodCalendar();
   renderInsights();
-  updateHydrationProgressUI();
+  renderChallenges();
+  renderSleepReport();
+  renderVitals();
+}
+
+/* ============================================================
+   Backup: JSON bundle + CSV export, validated import with preview
+   ============================================================ */
+function downloadFile(name, content, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function toCsv(rows) {
+  return rows.map(row => row.map(v => {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }).join(',')).join('\n') + '\n';
+}
+
+/* rows of fields; handles quoted fields with commas, quotes and newlines */
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = []; field = '';
+    } else field += c;
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
+
+const Backup = {
+  FORMAT: 'healthsync-backup',
+  VERSION: 1,
+  // every store the app persists, with how it is validated and merged
+  STORES: {
+    dailyRecords: { label: 'Daily records', kind: 'days' },
+    moodLogs: { label: 'Mood log', kind: 'list' },
+    recentLogs: { label: 'Activity log', kind: 'list' },
+    subscribers: { label: 'Newsletter', kind: 'list' },
+    challenges: { label: 'Challenges', kind: 'value' },
+    chartRange: { label: 'Chart range', kind: 'value' },
+    insightRules: { label: 'Insight rule settings', kind: 'value' },
+    waterReminders: { label: 'Water reminders', kind: 'value' },
+    breathing: { label: 'Breathing settings', kind: 'value' },
+    breathingSessions: { label: 'Breathing sessions', kind: 'list' },
+    symptomHistory: { label: 'Symptom history', kind: 'list' },
+    customFoods: { label: 'Custom foods', kind: 'list' },
+    recipes: { label: 'Recipes', kind: 'list' },
+    articleState: { label: 'Article bookmarks & reading', kind: 'value' },
+    vitals: { label: 'Heart rate & vitals', kind: 'list' },
+    profile: { label: 'Profile & goals', kind: 'value' },
+    hasDemo: { label: 'Demo flag', kind: 'value' }
+  },
+
+  bundle() {
+    const data = {};
+    Object.keys(this.STORES).forEach(key => {
+      const v = Storage.get(key, null);
+      if (v !== null) data[key] = v;
+    });
+    // stored values are always metric; `units` records the user's display preference
+    return { format: this.FORMAT, version: this.VERSION, schema: Storage.SCHEMA_VERSION, exportedAt: new Date().toISOString(), units: Profile.get().units, data };
+  },
+
+  csvFiles() {
+    const days = DailyRecords.all();
+    const profile = Profile.get();
+    // canonical ml, plus the user's display unit when it differs
+    const waterCol = Units.waterLabel(profile) === 'ml' ? null : 'water_' + Units.waterLabel(profile).replace(' ', '_');
+    const daily = [['date', 'steps', 'workout_steps', 'sleep_hours', 'water_ml'].concat(waterCol ? [waterCol] : [], ['weight_kg', 'waist_cm', 'kcal_eaten', 'kcal_burned', 'checklist'])].concat(
+      Object.keys(days).sort().map(date => {
+        const r = DailyRecords.get(date);
+        return [date, r.steps, totalSteps(r) - r.steps, r.sleep, r.water].concat(waterCol ? [Units.waterValue(r.water, profile)] : [],
+          [r.weight, r.waist, Nutrition.totals(r).kcal, Workouts.burned(r), Object.keys(r.checks).filter(k => r.checks[k]).join(';')]);
+      }));
+    const moods = [['time', 'mood', 'intensity', 'tags', 'energy', 'anxiety', 'note']].concat(
+      MoodJournal.all().map(m => [m.at || m.when, m.mood, m.intensity, (m.tags || []).join(';'), m.energy, m.anxiety, m.note]));
+    const workouts = [['date', 'type', 'minutes', 'intensity', 'kcal', 'steps', 'distance_km', 'source']];
+    Object.keys(days).sort().forEach(date => DailyRecords.get(date).workouts.forEach(w =>
+      workouts.push([date, w.type, w.minutes, w.intensity, w.kcal, w.steps, w.distanceKm, w.source || 'manual'])));
+    const activity = [['time', 'category', 'type', 'activity', 'undone']].concat(
+      ActivityLog.filter().reverse().map(ev => [ev.at || ev.t, ActivityLog.category(ev), ev.type, ev.text, ev.undoneAt || '']));
+    return [
+      { name: 'healthsync-daily.csv', content: toCsv(daily) },
+      { name: 'healthsync-moods.csv', content: toCsv(moods) },
+      { name: 'healthsync-workouts.csv', content: toCsv(workouts) },
+      { name: 'healthsync-vitals.csv', content: toCsv([['time', 'context', 'heart_rate_bpm', 'systolic', 'diastolic', 'spo2', 'source']].concat(
+        Vitals.all().map(r => [r.at, r.context, r.hr, r.sys, r.dia, r.spo2, r.source]))) },
+      { name: 'healthsync-activity.csv', content: toCsv(activity) }
+    ];
+  },
+
+  // throws an Error describing the first problem found
+  validate(obj) {
+    if (!obj || typeof obj !== 'object' || obj.format !== this.FORMAT) throw new Error('Not a HealthSync+ backup file.');
+    if (typeof obj.version !== 'number') throw new Error('Backup has no version.');
+    if (obj.version > this.VERSION || (obj.schema || 0) > Storage.SCHEMA_VERSION) throw new Error('Backup was made by a newer version of HealthSync+.');
+    if (!obj.data || typeof obj.data !== 'object') throw new Error('Backup contains no data.');
+    Object.keys(obj.data).forEach(key => {
+      const store = this.STORES[key];
+      const v = obj.data[key];
+      if (!store) return;
+      if (store.kind === 'list' && !Array.isArray(v)) throw new Error(`${store.label}: expected a list.`);
+      if (store.kind === 'days') {
+        if (!v || typeof v !== 'object' || Array.isArray(v)) throw new Error(`${store.label}: expected records by date.`);
+        Object.keys(v).forEach(date => {
+          const r = v[date];
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`${store.label}: bad date "${date}".`);
+          if (!r || typeof r !== 'object') throw new Error(`${store.label}: bad record for ${date}.`);
+          ['steps', 'sleep', 'water', 'weight', 'height', 'waist'].forEach(f => {
+            if (r[f] !== undefined && r[f] !== null && !Number.isFinite(r[f])) throw new Error(`${store.label}: ${f} on ${date} is not a number.`);
+          });
+        });
+      }
+    });
+    if (Array.isArray(obj.data.moodLogs) && obj.data.moodLogs.some(m => !m || typeof m.mood !== 'string')) {
+      throw new Error('Mood log: every entry needs a mood.');
+    }
+    if (Array.isArray(obj.data.recentLogs) && obj.data.recentLogs.some(ev => !ev || typeof ev.text !== 'string')) {
+      throw new Error('Activity log: every entry needs a text.');
+    }
+    return obj;
+  },
+
+  // run storage migrations over the bundle's data so older backups import in the current shape
+  upgrade(bundle) {
+    const from = bundle.schema || 0;
+    if (from >= Storage.SCHEMA_VERSION) return bundle;
+    const raw = {};
+    Object.keys(bundle.data).forEach(key => { raw[key] = JSON.stringify(bundle.data[key]); });
+    const store = Storage.withAdapter(createMemoryAdapter(raw));
+    runMigrations(store, from);
+    // migrations may rename keys, so collect whatever the store holds afterwards
+    const data = {};
+    store.keys().filter(key => key !== store.VERSION_KEY).forEach(key => { data[key] = store.get(key, null); });
+    return Object.assign({}, bundle, { schema: Storage.SCHEMA_VERSION, data });
+  },
+
+  // per-store summary of what applying the bundle would do
+  preview(bundle) {
+    return Object.keys(bundle.data).map(key => {
+      const store = this.STORES[key];
+      if (!store) return { key, label: key, ignored: true };
+      const incoming = bundle.data[key];
+      const current = Storage.get(key, null);
+      const row = { key, label: store.label, added: 0, changed: 0, unchanged: 0 };
+      if (store.kind === 'days') {
+        const cur = current || {};
+        Object.keys(incoming).forEach(date => {
+          if (!cur[date]) row.added++;
+          else if (JSON.stringify(cur[date]) === JSON.stringify(incoming[date])) row.unchanged++;
+          else row.changed++;
+        });
+      } else if (store.kind === 'list') {
+        const seen = new Set((current || []).map(i => JSON.stringify(i)));
+        incoming.forEach(i => { if (seen.has(JSON.stringify(i))) row.unchanged++; else row.added++; });
+      } else if (current === null) row.added = 1;
+      else if (JSON.stringify(current) === JSON.stringify(incoming)) row.unchanged = 1;
+      else row.changed = 1;
+      return row;
+    });
+  },
+
+  // entries from `incoming` whose id is not already in `current` (local entries win)
+  mergeById(current, incoming) {
+    const local = current || [];
+    const ids = new Set(local.map(i => i.id));
+    return local.concat((incoming || []).filter(i => !ids.has(i.id)));
+  },
+  // merge never overwrites a value that already exists locally
+  merge(kind, current, incoming) {
+    if (current === null) return incoming;
+    if (kind === 'list') {
+      const seen = new Set(current.map(i => JSON.stringify(i)));
+      return current.concat(incoming.filter(i => !seen.has(JSON.stringify(i))));
+    }
+    if (kind === 'days') {
+      const out = Object.assign({}, current);
+      Object.keys(incoming).forEach(date => {
+        const cur = current[date];
+        const inc = incoming[date];
+        if (!cur) { out[date] = inc; return; }
+        const merged = Object.assign({}, cur);
+        Object.keys(inc).forEach(f => {
+          if (f === 'checks') merged.checks = Object.assign({}, inc.checks, cur.checks);
+          else if (f === 'meals' || f === 'workouts') merged[f] = this.mergeById(cur[f], inc[f]);
+          else if (cur[f] === undefined || cur[f] === null || cur[f] === 0) merged[f] = inc[f];
+        });
+        // the walk tick follows the merged workout list
+        if (inc.workouts) Object.assign(merged, Workouts.withWalkCheck({ checks: Object.assign({}, merged.checks), workouts: merged.workouts }, merged.workouts));
+        out[date] = merged;
+      });
+      return out;
+    }
+    return current;
+  },
+
+  apply(bundle, mode = 'merge') {
+    Object.keys(bundle.data).forEach(key => {
+      const store = this.STORES[key];
+      if (!store) return;
+      const incoming = bundle.data[key];
+      Storage.set(key, mode === 'replace' ? incoming : this.merge(store.kind, Storage.get(key, null), incoming));
+    });
+  }
+};
+
+/* redraw everything that reads stored data, after imports or synced changes */
+function renderAllData() {
+  renderChecklist();
+  renderInsightRules();
+  renderProfileForm();
+  onProfileChanged();
+  renderRecentLogsAndUI();
+}
+
+function renderImportPreview(bundle) {
+  const box = document.getElementById('importPreview');
+  if (!box) return;
+  const rows = Backup.preview(bundle);
+  box.style.display = 'block';
+  box.innerHTML = `
+    <div class="small">Backup from ${escapeHtml(new Date(bundle.exportedAt).toLocaleString())}</div>
+    <table style="width:100%;margin-top:8px;border-collapse:collapse">
+      <tr class="muted"><th align="left">Data</th><th>New</th><th>Different</th><th>Same</th></tr>
+      ${rows.map(r => r.ignored
+        ? `<tr><td>${escapeHtml(r.label)}</td><td colspan="3" class="muted">not recognised — ignored</td></tr>`
+        : `<tr><td>${escapeHtml(r.label)}</td><td align="center">${r.added}</td><td align="center">${r.changed}</td><td align="center">${r.unchanged}</td></tr>`).join('')}
+    </table>
+    <div style="margin-top:8px">
+      <label><input type="radio" name="importMode" value="merge" checked> Merge (keep my existing entries)</label><br>
+      <label><input type="radio" name="importMode" value="replace"> Replace (overwrite with the backup)</label>
+    </div>
+    <div style="margin-top:8px;display:flex;gap:8px">
+      <button class="btn" id="applyImport">Import</button>
+      <button class="btn-ghost" id="cancelImport">Cancel</button>
+    </div>`;
+  document.getElementById('applyImport').addEventListener('click', () => {
+    const mode = box.querySelector('input[name=importMode]:checked').value;
+    Backup.apply(bundle, mode);
+    box.style.display = 'none';
+    box.innerHTML = '';
+    renderAllData();
+    logActivity(`Imported backup (${mode})`, { type: 'app.import' });
+  });
+  document.getElementById('cancelImport').addEventListener('click', () => {
+    box.style.display = 'none';
+    box.innerHTML = '';
+  });
+}
+
+function initBackup() {
+  const exportJsonBtn = document.getElementById('exportJson');
+  const exportCsvBtn = document.getElementById('exportCsv');
+  const importInput = document.getElementById('importFile');
+  const msg = document.getElementById('backupMsg');
+
+  if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => {
+    downloadFile(`healthsync-backup-${dateKey()}.json`, JSON.stringify(Backup.bundle(), null, 2));
+    logActivity('Exported data (JSON)', { type: 'app.export' });
+  });
+
+  if (exportCsvBtn) exportCsvBtn.addEventListener('click', () => {
+    Backup.csvFiles().forEach(f => downloadFile(f.name, f.content, 'text/csv'));
+    logActivity('Exported data (CSV)', { type: 'app.export' });
+  });
+
+  if (importInput) importInput.addEventListener('change', () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      const bundle = Backup.upgrade(Backup.validate(JSON.parse(text)));
+      if (msg) msg.textContent = '';
+      renderImportPreview(bundle);
+    }).catch(err => {
+      if (msg) { msg.textContent = 'Import failed: ' + (err instanceof SyntaxError ? 'file is not valid JSON.' : err.message); msg.style.color = '#d97706'; }
+    });
+  });
+}
+
+/* ============================================================
+   Sync — optional push/pull with a self-hosted REST server
+   ============================================================ */
+/*
+ * Off until an endpoint is saved in Tools › Sync; nothing leaves the device before that.
+ * Protocol (reference server: sync-server.js):
+ *   GET  {endpoint}/changes?since=<cursor>  -> { cursor, more, changes: [change] }
+ *   POST {endpoint}/changes { deviceId, changes: [change] } -> { cursor, rejected: [change] }
+ *   change = { store, id, updatedAt (ISO), deleted, value, deviceId }
+ * A record is one day of dailyRecords, one item of a list store or a whole value store.
+ * While sync is on, every Storage write is diffed per record and queued with its time;
+ * the queue survives reloads and offline spells. A run pulls, then pushes the queue.
+ * The newest updatedAt wins; when a mood entry changed here and on another device,
+ * the losing version is kept as a conflict for the user to review.
+ */
+// device-local stores (activity log, reminder schedule, chart range, demo flag) are not synced
+const SYNC_STORES = ['dailyRecords', 'moodLogs', 'challenges', 'insightRules', 'breathing', 'breathingSessions',
+  'symptomHistory', 'customFoods', 'recipes', 'articleState', 'vitals', 'profile'];
+// conflicts in these stores are shown to the user instead of being resolved silently
+const SYNC_CONFLICT_STORES = ['moodLogs'];
+// records queued when sync is first turned on lose to any copy already on the server
+const SYNC_SEED_TIME = new Date(0).toISOString();
+const SYNC_DEBOUNCE_MS = 5000;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+/* list items are matched by id; plain values (and old entries without one) by content */
+function syncItemId(item) {
+  if (item && typeof item === 'object') return item.id || JSON.stringify(item);
+  return String(item);
+}
+
+const Sync = {
+  CONFIG_KEY: 'syncConfig',
+  STATE_KEY: 'syncState',
+  running: null, // promise of the run in progress
+  applying: false, // set while remote changes are written so they are not queued again
+  timer: null,
+
+  config() {
+    return Object.assign({ endpoint: '', token: '', enabled: false }, Storage.get(this.CONFIG_KEY, {}));
+  },
+  enabled() {
+    const c = this.config();
+    return c.enabled && !!c.endpoint;
+  },
+  // pending: { "<store>/<id>": { store, id, updatedAt } }; versions: last synced updatedAt per record
+  state() {
+    return Object.assign({ deviceId: null, cursor: 0, lastSyncAt: null, lastError: null, pending: {}, versions: {}, conflicts: [] },
+      Storage.get(this.STATE_KEY, {}));
+  },
+  saveState(s) {
+    Storage.set(this.STATE_KEY, s);
+  },
+  queued() {
+    return Object.keys(this.state().pending).length;
+  },
+  conflictFor(store, id) {
+    return this.state().conflicts.find(c => c.store === store && c.id === id) || null;
+  },
+
+  // { id: value } for a stored value of `key`
+  records(key, value) {
+    const kind = Backup.STORES[key].kind;
+    if (value === null || value === undefined) return {};
+    if (kind === 'days') return Object.assign({}, value);
+    if (kind === 'list') {
+      const out = {};
+      value.forEach(item => { out[syncItemId(item)] = item; });
+      return out;
+    }
+    return { [key]: value };
+  },
+  // `value` with one record replaced, or removed when `record` is null
+  putRecord(key, value, id, record) {
+    const kind = Backup.STORES[key].kind;
+    if (kind === 'value') return record;
+    if (kind === 'days') {
+      const out = Object.assign({}, value);
+      if (record === null) delete out[id];
+      else out[id] = record;
+      return out;
+    }
+    const list = (value || []).slice();
+    const i = list.findIndex(item => syncItemId(item) === id);
+    if (record === null) {
+      if (i !== -1) list.splice(i, 1);
+    } else if (i === -1) list.push(record);
+    else list[i] = record;
+    return list;
+  },
+
+  // Storage listener: queue every record of a synced store that this write changed.
+  // Once the device has been set up this runs even while sync is off, so edits made
+  // in the meantime keep their real time when sync is turned back on.
+  track(key, beforeRaw, after) {
+    if (this.applying || !SYNC_STORES.includes(key)) return;
+    const s = this.state();
+    if (!s.deviceId) return;
+    let before = null;
+    try {
+      before = beforeRaw ? JSON.parse(beforeRaw) : null;
+    } catch (e) { /* unreadable old value: treat every record as changed */ }
+    const a = this.records(key, before);
+    const b = this.records(key, after);
+    const now = new Date().toISOString();
+    let changed = 0;
+    new Set(Object.keys(a).concat(Object.keys(b))).forEach(id => {
+      if (JSON.stringify(a[id]) === JSON.stringify(b[id])) return;
+      s.pending[key + '/' + id] = { store: key, id, updatedAt: now };
+      changed++;
+    });
+    if (!changed) return;
+    this.saveState(s);
+    if (this.enabled()) this.schedule();
+    renderSyncStatus();
+  },
+
+  configure({ endpoint, token, enabled }) {
+    const before = this.config();
+    endpoint = endpoint.trim().replace(/\/+$/, '');
+    Storage.set(this.CONFIG_KEY, { endpoint, token: token.trim(), enabled });
+    const s = this.state();
+    if (!s.deviceId) s.deviceId = uid('device');
+    if (endpoint !== before.endpoint) {
+      // a different server knows nothing of what was synced before
+      s.cursor = 0;
+      s.versions = {};
+      s.lastSyncAt = null;
+      s.conflicts = [];
+    }
+    s.lastError = null;
+    // a server this device has not synced with yet gets every record, at a time that
+    // lets its own copies win; anything already queued keeps its real edit time
+    if (enabled && (endpoint !== before.endpoint || !s.lastSyncAt)) {
+      SYNC_STORES.forEach(key => Object.keys(this.records(key, Storage.get(key, null))).forEach(id => {
+        const rid = key + '/' + id;
+        if (!s.pending[rid]) s.pending[rid] = { store: key, id, updatedAt: SYNC_SEED_TIME };
+      }));
+    }
+    this.saveState(s);
+  },
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.run(), SYNC_DEBOUNCE_MS);
+  },
+
+  request(method, path, body) {
+    const c = this.config();
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (c.token) headers.Authorization = 'Bearer ' + c.token;
+    // no-store also keeps the service worker from answering with a cached copy
+    return fetch(c.endpoint + path, { method, headers, body: body ? JSON.stringify(body) : undefined, cache: 'no-store' })
+      .catch(() => { throw new Error('the sync server could not be reached'); })
+      .then(res => {
+        if (res.status === 401 || res.status === 403) throw new Error('the sync server refused the access token');
+        if (!res.ok) throw new Error(`the sync server answered ${res.status}`);
+        return res.json().catch(() => { throw new Error('the sync server sent an invalid response'); });
+      });
+  },
+
+  // resolves to false when the run failed or could not start
+  run() {
+    if (this.running) return this.running;
+    clearTimeout(this.timer);
+    if (!this.enabled()) return Promise.resolve(false);
+    if (navigator.onLine === false) {
+      renderSyncStatus();
+      return Promise.resolve(false);
+    }
+    this.running = this.pull()
+      .then(() => this.push())
+      .then(() => {
+        const s = this.state();
+        s.lastSyncAt = new Date().toISOString();
+        s.lastError = null;
+        this.saveState(s);
+        return true;
+      })
+      .catch(err => {
+        console.warn('Sync failed', err);
+        const s = this.state();
+        s.lastError = { message: err.message, at: new Date().toISOString() };
+        this.saveState(s);
+        return false;
+      })
+      .then(ok => {
+        this.running = null;
+        renderSyncStatus();
+        return ok;
+      });
+    renderSyncStatus();
+    return this.running;
+  },
+
+  pull() {
+    return this.request('GET', '/changes?since=' + encodeURIComponent(this.state().cursor)).then(res => {
+      if (!res || !Array.isArray(res.changes)) throw new Error('the sync server sent an invalid response');
+      const s = this.state();
+      const result = this.receive(s, res.changes);
+      s.cursor = res.cursor;
+      this.saveState(s);
+      this.announce(result);
+      if (res.more) return this.pull();
+    });
+  },
+
+  push() {
+    const s = this.state();
+    const sent = Object.keys(s.pending).map(rid => s.pending[rid]);
+    if (!sent.length) return Promise.resolve();
+    const stores = {};
+    const changes = sent.map(p => {
+      if (!(p.store in stores)) stores[p.store] = this.records(p.store, Storage.get(p.store, null));
+      const value = stores[p.store][p.id];
+      return { store: p.store, id: p.id, updatedAt: p.updatedAt, deleted: value === undefined, value: value === undefined ? null : value, deviceId: s.deviceId };
+    });
+    return this.request('POST', '/changes', { deviceId: s.deviceId, changes }).then(res => {
+      // re-read: records edited while the request was out stay queued with their newer time
+      const now = this.state();
+      const rejected = res && Array.isArray(res.rejected) ? res.rejected : [];
+      // the server already had something newer: take it while the local edit is still
+      // queued, so a mood entry changed elsewhere in the meantime is kept as a conflict
+      const result = this.receive(now, rejected, true);
+      sent.forEach(p => {
+        const rid = p.store + '/' + p.id;
+        if (rejected.some(c => c.store === p.store && c.id === p.id)) return;
+        if (now.pending[rid] && now.pending[rid].updatedAt === p.updatedAt) delete now.pending[rid];
+        if (!(now.versions[rid] >= p.updatedAt)) now.versions[rid] = p.updatedAt;
+      });
+      this.saveState(now);
+      this.announce(result);
+    });
+  },
+
+  // apply remote changes to storage, resolving against the queue in `s` (saved by the caller);
+  // `rejected` changes come back from a push and are never skipped as already seen.
+  // Returns what `announce` shows once the state is saved.
+  receive(s, changes, rejected = false) {
+    const stores = {};
+    const changed = new Set();
+    const conflicts = [];
+    changes.forEach(c => {
+      if (!SYNC_STORES.includes(c.store)) return;
+      const rid = c.store + '/' + c.id;
+      // already applied, or this device's own push coming back
+      if (!rejected && s.versions[rid] && s.versions[rid] >= c.updatedAt) return;
+      if (!(c.store in stores)) stores[c.store] = Storage.get(c.store, null);
+      const local = this.records(c.store, stores[c.store])[c.id];
+      const remote = c.deleted ? undefined : c.value;
+      const mine = s.pending[rid];
+      const same = JSON.stringify(local) === JSON.stringify(remote);
+      if (mine && !same && SYNC_CONFLICT_STORES.includes(c.store)) conflicts.push({ c, local, remote, mine });
+      if (mine && (mine.updatedAt > c.updatedAt || (mine.updatedAt === c.updatedAt && s.deviceId > c.deviceId))) return;
+      delete s.pending[rid];
+      s.versions[rid] = c.updatedAt;
+      if (same) return;
+      stores[c.store] = this.putRecord(c.store, stores[c.store], c.id, remote === undefined ? null : remote);
+      changed.add(c.store);
+    });
+    this.applying = true;
+    try {
+      changed.forEach(key => {
+        if (stores[key] === null) Storage.remove(key);
+        else Storage.set(key, stores[key]);
+      });
+    } finally {
+      this.applying = false;
+    }
+    conflicts.forEach(({ c, local, remote }) => {
+      const keptLocal = !!s.pending[c.store + '/' + c.id];
+      s.conflicts = s.conflicts.filter(x => !(x.store === c.store && x.id === c.id));
+      s.conflicts.push({ store: c.store, id: c.id, at: new Date().toISOString(), kept: keptLocal ? 'local' : 'remote', other: (keptLocal ? remote : local) || null });
+    });
+    return { changed: changed.size > 0, conflicts: conflicts.length };
+  },
+  announce({ changed, conflicts }) {
+    if (changed || conflicts) renderAllData();
+    if (conflicts) {
+      showToast(`${conflicts} mood ${conflicts === 1 ? 'entry was' : 'entries were'} changed on two devices — the newest version was kept.`, {
+        timeout: 0,
+        actions: [{ label: 'Review', onClick: () => Router.navigate('tools/sync') }]
+      });
+    }
+  },
+
+  // put back the version that lost; it is queued like any other edit
+  keepOther(store, id) {
+    const conflict = this.conflictFor(store, id);
+    if (!conflict) return;
+    this.dismiss(store, id);
+    Storage.set(store, this.putRecord(store, Storage.get(store, null), id, conflict.other));
+  },
+  dismiss(store, id) {
+    const s = this.state();
+    s.conflicts = s.conflicts.filter(c => !(c.store === store && c.id === id));
+    this.saveState(s);
+  }
+};
+
+function describeSyncedMood(m) {
+  if (!m) return 'deleted';
+  const d = moodEntryDate(m);
+  return `${escapeHtml(m.mood)} · ${m.intensity || 3}/5${d ? ' — ' + escapeHtml(d.toLocaleString()) : ''}${m.note ? ` · “${escapeHtml(m.note)}”` : ''}`;
+}
+
+/* the header chip and the Tools card only report what actually happened */
+function renderSyncStatus() {
+  const s = Sync.state();
+  const queued = Object.keys(s.pending).length;
+  const queuedText = queued ? ` · ${queued} ${queued === 1 ? 'change' : 'changes'} queued` : '';
+  let label;
+  let detail;
+  if (!Sync.enabled()) {
+    label = 'Sync off';
+    detail = 'Sync is off — data stays on this device.';
+  } else if (Sync.running) {
+    label = 'Syncing…';
+    detail = 'Syncing…';
+  } else if (navigator.onLine === false) {
+    label = 'Offline' + queuedText;
+    detail = `Offline — changes are kept and sent when you reconnect${queuedText}.`;
+  } else if (s.lastError) {
+    label = 'Sync failed' + queuedText;
+    detail = `Last attempt ${timeAgo(s.lastError.at)} failed: ${s.lastError.message}.` +
+      (s.lastSyncAt ? ` Last successful sync ${timeAgo(s.lastSyncAt)}.` : '') + queuedText;
+  } else {
+    label = 'Last sync: ' + (s.lastSyncAt ? timeAgo(s.lastSyncAt) : 'never') + queuedText;
+    detail = (s.lastSyncAt ? `Last synced ${timeAgo(s.lastSyncAt)}` : 'Not synced yet') + queuedText + '.';
+  }
+  const chip = document.getElementById('lastSync');
+  if (chip) {
+    chip.textContent = label;
+    chip.title = detail;
+    chip.classList.toggle('sync-error', Sync.enabled() && !Sync.running && !!s.lastError);
+  }
+  const status = document.getElementById('syncStatus');
+  if (status) {
+    status.textContent = detail;
+    status.style.color = Sync.enabled() && !Sync.running && s.lastError ? '#d97706' : '#6b7280';
+  }
+  const list = document.getElementById('syncConflicts');
+  if (list) {
+    list.innerHTML = s.conflicts.map(c => {
+      const current = MoodJournal.get(c.id);
+      return `<li class="sync-conflict" data-store="${escapeHtml(c.store)}" data-id="${escapeHtml(c.id)}">
+        <div><strong>Mood entry changed on two devices</strong> <span class="muted">${escapeHtml(timeAgo(c.at))}</span></div>
+        <div>Kept (${c.kept === 'local' ? 'this device' : 'other device'}): ${describeSyncedMood(current)}</div>
+        <div class="muted">Other version: ${describeSyncedMood(c.other)}</div>
+        <div style="display:flex;gap:4px;margin-top:4px">
+          <button class="btn-ghost" data-action="keep-other">Use other version</button>
+          <button class="btn-ghost" data-action="dismiss">Keep as is</button>
+        </div>
+      </li>`;
+    }).join('');
+  }
+}
+
+function initSync() {
+  const form = document.getElementById('syncForm');
+  const msg = document.getElementById('syncMsg');
+  const config = Sync.config();
+  if (form) {
+    form.elements.endpoint.value = config.endpoint;
+    form.elements.token.value = config.token;
+    form.elements.enabled.checked = config.enabled;
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      const endpoint = form.elements.endpoint.value.trim();
+      const enabled = form.elements.enabled.checked;
+      if (enabled && !/^https?:\/\/\S+$/i.test(endpoint)) {
+        msg.textContent = 'Enter the server address, e.g. http://localhost:8787';
+        msg.style.color = '#d97706';
+        return;
+      }
+      const wasEnabled = Sync.enabled();
+      Sync.configure({ endpoint, token: form.elements.token.value, enabled });
+      msg.textContent = enabled ? 'Saved — syncing now.' : 'Saved. Sync is off.';
+      msg.style.color = '#059669';
+      if (enabled !== wasEnabled) logActivity(enabled ? 'Turned sync on' : 'Turned sync off', { type: 'app.sync' });
+      renderSyncStatus();
+      if (enabled) Sync.run();
+    });
+  }
+  const now = document.getElementById('syncNow');
+  if (now) now.addEventListener('click', () => {
+    if (!Sync.enabled()) {
+      msg.textContent = 'Turn sync on and save a server address first.';
+      msg.style.color = '#d97706';
+      return;
+    }
+    msg.textContent = '';
+    Sync.run();
+  });
+  const list = document.getElementById('syncConflicts');
+  if (list) list.addEventListener('click', e => {
+    const btn = e.target.closest('button[data-action]');
+    const item = e.target.closest('[data-id]');
+    if (!btn || !item) return;
+    if (btn.dataset.action === 'keep-other') {
+      Sync.keepOther(item.dataset.store, item.dataset.id);
+      logActivity('Restored the other device’s version of a mood entry', { type: 'mood.sync', entityId: item.dataset.id });
+      renderAllData();
+    } else {
+      Sync.dismiss(item.dataset.store, item.dataset.id);
+      renderMoodList();
+    }
+    renderSyncStatus();
+  });
+
+  Storage.listen((key, before, value) => Sync.track(key, before, value));
+  window.addEventListener('online', () => Sync.run());
+  window.addEventListener('offline', renderSyncStatus);
+  setInterval(() => {
+    if (Sync.enabled()) Sync.run();
+  }, SYNC_INTERVAL_MS);
+  // keep "x min ago" current
+  setInterval(renderSyncStatus, 60 * 1000);
+  renderSyncStatus();
+  if (Sync.enabled()) Sync.run();
+}
+
+/* ============================================================
+   Tracker import — Apple Health, Google Fit, Fitbit and GPX exports
+   ============================================================ */
+/*
+ * Parsers turn a file into normalised samples, all parsed offline in the browser:
+ *   { kind: 'steps', source, start, end, value }
+ *   { kind: 'sleep', source, start, end, asleepMin?, awakenings? }   (asleep time)
+ *   { kind: 'hr', source, at, hr, context }
+ *   { kind: 'workout', source, start, end, type, kcal?, distanceKm? }
+ * TrackerImport.plan() turns samples into per-day changes for the preview and
+ * TrackerImport.apply() writes them. Where sources overlap, the highest count
+ * per hour (steps) or the longest night (sleep) wins instead of adding up.
+ */
+const TRACKER_FORMATS = {
+  apple: 'Apple Health export.xml',
+  googleFit: 'Google Fit (Takeout CSV)',
+  fitbit: 'Fitbit CSV export',
+  gpx: 'GPX track'
+};
+// samples longer than this are day totals rather than intraday counts
+const STEP_INTRADAY_MAX_MIN = 120;
+// a break in asleep time at least this long counts as an awakening
+const SLEEP_AWAKENING_MIN = 5;
+
+/* Walk / Run / ... from a tracker's activity name; null when there is no match */
+function workoutTypeFromName(name) {
+  const n = String(name || '').toLowerCase();
+  if (/run|jog/.test(n)) return 'run';
+  if (/cycl|bik|ride/.test(n)) return 'cycle';
+  if (/yoga|pilates|stretch/.test(n)) return 'yoga';
+  if (/strength|weight|gym|functional/.test(n)) return 'strength';
+  if (/walk|hik/.test(n)) return 'walk';
+  return null;
+}
+
+/* Apple writes "2026-10-18 07:00:00 +0100" */
+function parseAppleDate(v) {
+  return new Date(String(v).replace(' ', 'T').replace(/ ([+-]\d{2})(\d{2})$/, '$1:$2'));
+}
+
+/* scans start tags instead of building a DOM — export.xml files run to hundreds of MB */
+function parseAppleHealth(text) {
+  const samples = [];
+  const tagRe = /<(Record|Workout)\b([^>]*)>/g;
+  let m;
+  while ((m = tagRe.exec(text))) {
+    const a = {};
+    m[2].replace(/(\w+)="([^"]*)"/g, (all, k, v) => { a[k] = v; });
+    const source = a.sourceName || 'Apple Health';
+    const start = parseAppleDate(a.startDate);
+    const end = parseAppleDate(a.endDate);
+    if (isNaN(start) || isNaN(end)) continue;
+    if (m[1] === 'Workout') {
+      const type = workoutTypeFromName(String(a.workoutActivityType || '').replace('HKWorkoutActivityType', ''));
+      const kcal = a.totalEnergyBurned && /cal/i.test(a.totalEnergyBurnedUnit || 'kcal') ? Math.round(Number(a.totalEnergyBurned)) : null;
+      const km = a.totalDistance ? Number(a.totalDistance) * (a.totalDistanceUnit === 'mi' ? 1.609 : a.totalDistanceUnit === 'm' ? 0.001 : 1) : null;
+      samples.push({ kind: 'workout', source, start, end, type, name: a.workoutActivityType, kcal, distanceKm: km });
+    } else if (a.type === 'HKQuantityTypeIdentifierStepCount') {
+      samples.push({ kind: 'steps', source, start, end, value: Number(a.value) || 0 });
+    } else if (a.type === 'HKCategoryTypeIdentifierSleepAnalysis' && /Asleep/.test(a.value)) {
+      samples.push({ kind: 'sleep', source, start, end });
+    } else if (a.type === 'HKQuantityTypeIdentifierHeartRate' || a.type === 'HKQuantityTypeIdentifierRestingHeartRate') {
+      samples.push({ kind: 'hr', source, at: start, hr: Math.round(Number(a.value)), context: a.type.includes('Resting') ? 'resting' : 'other' });
+    }
+  }
+  return samples;
+}
+
+/* "Daily activity metrics.csv" (one row per day) or a per-day file of 15-minute rows */
+function parseGoogleFit(name, text) {
+  const rows = parseCsv(text);
+  const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+  const col = label => header.indexOf(label);
+  const stepsCol = col('step count');
+  const hrCol = col('average heart rate (bpm)');
+  const source = 'Google Fit';
+  const samples = [];
+  if (col('date') !== -1) {
+    rows.forEach(r => {
+      const start = new Date(r[col('date')] + 'T00:00');
+      if (isNaN(start) || !r[stepsCol]) return;
+      samples.push({ kind: 'steps', source, start, end: addDays(start, 1), value: Math.round(Number(r[stepsCol])) || 0 });
+    });
+    return samples;
+  }
+  const day = (name.match(/\d{4}-\d{2}-\d{2}/) || [])[0];
+  if (!day || col('start time') === -1) throw new Error('Google Fit interval files need the date in the file name (e.g. 2026-10-18.csv).');
+  rows.forEach(r => {
+    const start = new Date(`${day}T${r[col('start time')]}`);
+    const end = new Date(`${day}T${r[col('end time')]}`);
+    if (isNaN(start)) return;
+    if (r[stepsCol]) samples.push({ kind: 'steps', source, start, end, value: Math.round(Number(r[stepsCol])) || 0 });
+    if (hrCol !== -1 && r[hrCol]) samples.push({ kind: 'hr', source, at: start, hr: Math.round(Number(r[hrCol])), context: 'other' });
+  });
+  return samples;
+}
+
+/* the classic Fitbit export: titled blocks ("Activities", "Sleep", ...) separated by blank lines */
+function parseFitbit(text) {
+  const samples = [];
+  const source = 'Fitbit';
+  const num = v => Number(String(v || '').replace(/,/g, ''));
+  text.split(/\r?\n\s*\r?\n/).forEach(block => {
+    const lines = block.trim().split(/\r?\n/);
+    const title = lines.shift().trim().toLowerCase();
+    const rows = parseCsv(lines.join('\n'));
+    const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+    const col = label => header.indexOf(label);
+    if (title === 'activities' && col('date') !== -1 && col('steps') !== -1) {
+      rows.forEach(r => {
+        const start = parseImportTime(r[col('date')]);
+        if (!isNaN(start)) samples.push({ kind: 'steps', source, start, end: addDays(start, 1), value: num(r[col('steps')]) });
+      });
+    } else if (title === 'sleep' && col('start time') !== -1) {
+      rows.forEach(r => {
+        const start = parseImportTime(r[col('start time')]);
+        const end = parseImportTime(r[col('end time')]);
+        if (isNaN(start) || isNaN(end)) return;
+        samples.push({ kind: 'sleep', source, start, end, asleepMin: num(r[col('minutes asleep')]) || null, awakenings: col('number of awakenings') === -1 ? null : num(r[col('number of awakenings')]) });
+      });
+    }
+  });
+  return samples;
+}
+
+function haversineKm(a, b) {
+  const rad = d => d * Math.PI / 180;
+  const h = Math.sin(rad(b.lat - a.lat) / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(rad(b.lon - a.lon) / 2) ** 2;
+  return 12742 * Math.asin(Math.sqrt(h));
+}
+
+/* one workout per <trk>; the activity comes from <type>/<name>, else from the average speed */
+function parseGpx(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('The GPX file is not valid XML.');
+  const creator = doc.documentElement.getAttribute('creator') || 'GPX';
+  return Array.from(doc.getElementsByTagName('trk')).map(trk => {
+    const pts = Array.from(trk.getElementsByTagName('trkpt')).map(pt => ({
+      lat: Number(pt.getAttribute('lat')),
+      lon: Number(pt.getAttribute('lon')),
+      at: new Date((pt.getElementsByTagName('time')[0] || {}).textContent)
+    })).filter(p => !isNaN(p.at));
+    if (pts.length < 2) return null;
+    const km = pts.slice(1).reduce((sum, p, i) => sum + haversineKm(pts[i], p), 0);
+    const hours = (pts[pts.length - 1].at - pts[0].at) / 3600000;
+    const label = ['type', 'name'].map(t => (trk.getElementsByTagName(t)[0] || {}).textContent || '').join(' ');
+    const speed = hours ? km / hours : 0;
+    const type = workoutTypeFromName(label) || (speed >= 15 ? 'cycle' : speed >= 7.5 ? 'run' : 'walk');
+    return { kind: 'workout', source: creator, start: pts[0].at, end: pts[pts.length - 1].at, type, name: label.trim(), kcal: null, distanceKm: tidyNumber(km, 2) };
+  }).filter(Boolean);
+}
+
+/* sorted, merged [start, end] intervals */
+function mergeIntervals(list) {
+  const out = [];
+  list.slice().sort((a, b) => a.start - b.start).forEach(iv => {
+    const last = out[out.length - 1];
+    if (last && iv.start <= last.end) last.end = new Date(Math.max(last.end, iv.end));
+    else out.push({ start: new Date(iv.start), end: new Date(iv.end) });
+  });
+  return out;
+}
+
+function clockTime(d) {
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+const TrackerImport = {
+  detect(name, text) {
+    const head = text.slice(0, 2000);
+    if (/<HealthData[\s>]/.test(text.slice(0, 20000))) return 'apple';
+    if (/<gpx[\s>]/.test(head)) return 'gpx';
+    const first = head.split(/\r?\n/)[0].toLowerCase();
+    if (/step count/.test(first) && /(^|,)(date|start time)(,|$)/.test(first)) return 'googleFit';
+    if (/^(body|activities|sleep|foods)\s*$/im.test(head)) return 'fitbit';
+    return null;
+  },
+  parse(name, text) {
+    const format = this.detect(name, text);
+    if (!format) {
+      throw new Error(/\.zip$/i.test(name)
+        ? 'unzip the export first and choose the file inside (e.g. apple_health_export/export.xml).'
+        : 'not a recognised Apple Health, Google Fit, Fitbit or GPX export.');
+    }
+    const samples = format === 'apple' ? parseAppleHealth(text)
+      : format === 'googleFit' ? parseGoogleFit(name, text)
+        : format === 'fitbit' ? parseFitbit(text)
+          : parseGpx(text);
+    return { format, samples };
+  },
+
+  // daily step totals: intraday counts take the highest source per hour, day totals the highest source per day
+  steps(samples) {
+    const hourly = {};
+    const daily = {};
+    samples.forEach(s => {
+      const date = dateKey(s.start);
+      if ((s.end - s.start) / 60000 > STEP_INTRADAY_MAX_MIN) {
+        daily[date] = daily[date] || {};
+        daily[date][s.source] = (daily[date][s.source] || 0) + s.value;
+        return;
+      }
+      const key = `${date}|${s.start.getHours()}`;
+      hourly[key] = hourly[key] || {};
+      hourly[key][s.source] = (hourly[key][s.source] || 0) + s.value;
+    });
+    const out = {};
+    Object.keys(hourly).forEach(key => {
+      const date = key.split('|')[0];
+      out[date] = (out[date] || 0) + Math.max(...Object.values(hourly[key]));
+    });
+    Object.keys(daily).forEach(date => { out[date] = Math.max(out[date] || 0, ...Object.values(daily[date])); });
+    Object.keys(out).forEach(date => { out[date] = Math.round(out[date]); });
+    return out;
+  },
+  // one night per wake-up date (sleep ending before 18:00 belongs to that day), longest source wins
+  sleep(samples) {
+    const groups = {};
+    samples.forEach(s => {
+      const date = dateKey(new Date(s.end.getTime() + 6 * 3600000));
+      const key = `${date}|${s.source}`;
+      (groups[key] = groups[key] || { date, list: [] }).list.push(s);
+    });
+    const out = {};
+    Object.values(groups).forEach(({ date, list }) => {
+      const merged = mergeIntervals(list);
+      const asleepMin = list.every(s => s.asleepMin) ? list.reduce((sum, s) => sum + s.asleepMin, 0)
+        : merged.reduce((sum, iv) => sum + (iv.end - iv.start) / 60000, 0);
+      const given = list.filter(s => s.awakenings !== null && s.awakenings !== undefined);
+      const awakenings = given.length ? given.reduce((sum, s) => sum + s.awakenings, 0)
+        : merged.slice(1).filter((iv, i) => (iv.start - merged[i].end) / 60000 >= SLEEP_AWAKENING_MIN).length;
+      const hours = tidyNumber(asleepMin / 60, 1);
+      if (hours < LOG_LIMITS.sleep.min || hours > LOG_LIMITS.sleep.max) return;
+      if (out[date] && out[date].sleep >= hours) return;
+      out[date] = {
+        sleep: hours,
+        sleepLog: { bed: clockTime(merged[0].start), wake: clockTime(merged[merged.length - 1].end), awakenings: Math.min(awakenings, LOG_LIMITS.awakenings.max), quality: null }
+      };
+    });
+    return out;
+  },
+  // drops workouts that overlap an existing or an earlier imported one by more than half
+  workouts(samples, stepDays) {
+    const overlaps = (a, b) => {
+      const shared = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+      return shared > 0.5 * Math.min(a.end - a.start, b.end - b.start);
+    };
+    const kept = [];
+    const out = { entries: [], duplicates: 0, unknown: 0 };
+    samples.slice().sort((a, b) => a.start - b.start).forEach(s => {
+      if (!s.type) { out.unknown++; return; }
+      const minutes = Math.round((s.end - s.start) / 60000);
+      if (minutes < 1) return;
+      const date = dateKey(s.start);
+      // manual entries are stamped when they were logged, i.e. at the end
+      const existing = DailyRecords.get(date).workouts.map(w => (w.source
+        ? { start: new Date(w.at), end: new Date(new Date(w.at).getTime() + w.minutes * 60000) }
+        : { start: new Date(new Date(w.at).getTime() - w.minutes * 60000), end: new Date(w.at) }));
+      if (existing.concat(kept).some(w => overlaps(w, s))) { out.duplicates++; return; }
+      kept.push(s);
+      const est = Workouts.estimate({ type: s.type, minutes, intensity: 'moderate' });
+      out.entries.push({
+        date,
+        entry: {
+          id: uid('w'), type: s.type, minutes, intensity: 'moderate', at: s.start.toISOString(),
+          kcal: s.kcal || est.kcal,
+          // the tracker's step count already includes the workout
+          steps: stepDays[date] !== undefined ? 0 : est.steps,
+          source: s.source,
+          distanceKm: s.distanceKm || null
+        }
+      });
+    });
+    return out;
+  },
+  // everything apply() will write, plus counts for the preview
+  plan(samples, { overwrite = false } = {}) {
+    const by = kind => samples.filter(s => s.kind === kind);
+    const steps = this.steps(by('steps'));
+    const sleep = this.sleep(by('sleep'));
+    const workouts = this.workouts(by('workout'), steps);
+    const days = {};
+    const counts = { stepsNew: 0, stepsChanged: 0, stepsKept: 0, sleepNew: 0, sleepChanged: 0, sleepKept: 0 };
+    Object.keys(steps).forEach(date => {
+      const current = DailyRecords.get(date).steps;
+      if (current === steps[date]) return;
+      if (!current) counts.stepsNew++;
+      else if (overwrite || steps[date] > current) counts.stepsChanged++;
+      else { counts.stepsKept++; return; }
+      days[date] = Object.assign(days[date] || {}, { steps: steps[date] });
+    });
+    Object.keys(sleep).forEach(date => {
+      const current = DailyRecords.get(date).sleep;
+      if (current === sleep[date].sleep) return;
+      if (current === null) counts.sleepNew++;
+      else if (overwrite) counts.sleepChanged++;
+      else { counts.sleepKept++; return; }
+      days[date] = Object.assign(days[date] || {}, sleep[date]);
+    });
+    const dates = Object.keys(steps).concat(Object.keys(sleep), workouts.entries.map(w => w.date)).sort();
+    const sources = {};
+    samples.forEach(s => { (sources[s.source] = sources[s.source] || new Set()).add(s.kind); });
+    return {
+      days, counts, workouts,
+      hr: by('hr'),
+      from: dates[0] || null,
+      to: dates[dates.length - 1] || null,
+      stepDays: Object.keys(steps).length,
+      sleepNights: Object.keys(sleep).length,
+      sources: Object.keys(sources).map(name => ({ name, kinds: Array.from(sources[name]) }))
+    };
+  },
+  apply(plan) {
+    const patches = {};
+    Object.keys(plan.days).forEach(date => { patches[date] = Object.assign({}, plan.days[date]); });
+    new Set(plan.workouts.entries.map(w => w.date)).forEach(date => {
+      const dayPatch = plan.days[date] || {};
+      const added = plan.workouts.entries.filter(w => w.date === date).map(w => w.entry);
+      patches[date] = rec => Object.assign({}, dayPatch, Workouts.withWalkCheck(rec, rec.workouts.concat(added)));
+    });
+    DailyRecords.updateMany(patches);
+    Object.keys(plan.days).filter(date => plan.days[date].sleep).forEach(date => Sleep.syncChecklist(date));
+    const readings = plan.hr.length ? Vitals.importSamples(plan.hr) : 0;
+    return { days: Object.keys(patches).length, workouts: plan.workouts.entries.length, readings };
+  }
+};
+
+let trackerSamples = null;
+
+function renderTrackerPreview(files) {
+  const box = document.getElementById('trackerPreview');
+  if (!box) return;
+  const overwrite = !!(document.getElementById('trackerOverwrite') || {}).checked;
+  const plan = TrackerImport.plan(trackerSamples, { overwrite });
+  const c = plan.counts;
+  const fmt = d => new Date(d + 'T12:00').toLocaleDateString();
+  const row = (label, value, note = '') => `<tr><td>${label}</td><td>${value}</td><td class="muted">${note}</td></tr>`;
+  box.style.display = 'block';
+  box.innerHTML = `
+    <div class="small">${files.map(f => `${escapeHtml(f.name)} — ${TRACKER_FORMATS[f.format]}`).join('<br>')}</div>
+    <div class="muted">${plan.from ? `${fmt(plan.from)} – ${fmt(plan.to)}` : 'No steps, sleep or workouts found'}</div>
+    <table class="import-table">
+      ${row('Steps', `${plan.stepDays} days`, `${c.stepsNew} new, ${c.stepsChanged} updated${c.stepsKept ? `, ${c.stepsKept} kept (your count is higher)` : ''}`)}
+      ${row('Sleep', `${plan.sleepNights} nights`, `${c.sleepNew} new, ${c.sleepChanged} replaced${c.sleepKept ? `, ${c.sleepKept} kept (already logged)` : ''}`)}
+      ${row('Workouts', plan.workouts.entries.length, [plan.workouts.duplicates ? `${plan.workouts.duplicates} duplicates skipped` : '', plan.workouts.unknown ? `${plan.workouts.unknown} unsupported activities skipped` : ''].filter(Boolean).join(', '))}
+      ${row('Heart rate', `${plan.hr.length.toLocaleString()} samples`, plan.hr.length ? `averaged into ${VITALS_BUCKET_MIN}-minute readings` : '')}
+    </table>
+    <div class="muted">Sources: ${plan.sources.map(s => `${escapeHtml(s.name)} (${s.kinds.join(', ')})`).join('; ') || '—'}.
+      ${plan.sources.filter(s => s.kinds.includes('steps')).length > 1 ? 'Overlapping step counts are merged hour by hour using the highest count, not added up.' : ''}</div>
+    <label style="display:block;margin-top:8px"><input type="checkbox" id="trackerOverwrite" ${overwrite ? 'checked' : ''}> Replace steps and sleep I entered by hand</label>
+    <div style="margin-top:8px;display:flex;gap:8px">
+      <button class="btn" id="applyTracker" ${Object.keys(plan.days).length || plan.workouts.entries.length || plan.hr.length ? '' : 'disabled'}>Import</button>
+      <button class="btn-ghost" id="cancelTracker">Cancel</button>
+    </div>`;
+  document.getElementById('trackerOverwrite').addEventListener('change', () => renderTrackerPreview(files));
+  document.getElementById('cancelTracker').addEventListener('click', () => {
+    trackerSamples = null;
+    box.style.display = 'none';
+    box.innerHTML = '';
+  });
+  document.getElementById('applyTracker').addEventListener('click', () => {
+    const res = TrackerImport.apply(plan);
+    trackerSamples = null;
+    box.style.display = 'none';
+    box.innerHTML = '';
+    const msg = document.getElementById('trackerMsg');
+    msg.textContent = `Imported ${res.days} days, ${res.workouts} workouts and ${res.readings} heart-rate readings.`;
+    msg.style.color = '#059669';
+    onWorkoutsChanged();
+    renderRecentLogsAndUI();
+    logActivity(`Imported tracker data (${files.map(f => f.name).join(', ')}): ${res.days} days, ${res.workouts} workouts, ${res.readings} heart-rate readings`, { type: 'app.import' });
+  });
+}
+
+function initTrackerImport() {
+  const input = document.getElementById('trackerFile');
+  if (!input) return;
+  const msg = document.getElementById('trackerMsg');
+  input.addEventListener('change', () => {
+    const files = Array.from(input.files);
+    input.value = '';
+    if (!files.length) return;
+    msg.textContent = 'Reading…';
+    msg.style.color = '#6b7280';
+    Promise.all(files.map(file => file.text().then(text => {
+      try {
+        return Object.assign({ name: file.name }, TrackerImport.parse(file.name, text));
+      } catch (err) {
+        throw new Error(`${file.name}: ${err.message}`);
+      }
+    }))).then(parsed => {
+      trackerSamples = [].concat(...parsed.map(p => p.samples));
+      msg.textContent = '';
+      renderTrackerPreview(parsed);
+    }).catch(err => {
+      msg.textContent = 'Import failed — ' + err.message;
+      msg.style.color = '#d97706';
+    });
+  });
 }
 
 /* ============================================================
@@ -685,14 +6023,8 @@ function renderRecentLogsAndUI() {
 function initShortcuts() {
   document.addEventListener('keydown', (e) => {
     if (e.key === '/' && e.ctrlKey) {
-      const tools = document.getElementById('tools');
-      if (tools) {
-        // show tools section
-        document.querySelectorAll('main section').forEach(s => s.style.display = 'none');
-        tools.style.display = 'block';
-        const sel = document.getElementById('symptomSel');
-        if (sel) sel.focus();
-      }
+      e.preventDefault();
+      Router.navigate('tools/symptoms');
     }
   });
 }
@@ -701,40 +6033,57 @@ function initShortcuts() {
    Virtual DOM-ready init that wires everything up
    ============================================================ */
 function initApp() {
+  Storage.use(createStorageAdapter(CONFIG.STORAGE_BACKEND))
+    .catch(err => {
+      console.warn('Storage backend unavailable, using memory', err);
+      showToast('Your browser is blocking storage — changes will be lost when you close this tab.', { type: 'error', timeout: 0 });
+      return Storage.use(createMemoryAdapter());
+    })
+    .then(() => {
+      migrateStorage();
+      startApp();
+    });
+}
+
+function startApp() {
+  initDayRollover();
+  initActivityLog();
+  initArticles();
   initNavigation();
   initChecklist();
   initNewsletter();
   initMoodLogging();
   initCharts();
+  renderInsightRules();
   renderInsights();
-  initHeartbeatSimulation();
+  initVitals();
+  initBreathing();
   initQuotes();
+  initProfile();
   initBMICalculator();
+  initBodyMetrics();
+  initNutrition();
+  initWorkouts();
   initSymptomChecker();
   initChallengeButtons();
-  initAddLogQuick();
+  initLogDialog();
+  initBackup();
+  initTrackerImport();
+  initReports();
   initShortcuts();
   startPeriodicSimulations();
   bootstrapDemoData();
+  initSync();
   renderRecentLogsAndUI();
 
-  // wire breath buttons
-  const startB = document.getElementById('startBreath');
-  const stopB = document.getElementById('stopBreath');
-  const startB2 = document.getElementById('startBreath2');
-  const stopB2 = document.getElementById('stopBreath2');
-  if (startB) startB.addEventListener('click', () => startBreathing(60, 'breathingCtl'));
-  if (stopB) stopB.addEventListener('click', stopBreathing);
-  if (startB2) startB2.addEventListener('click', () => startBreathing(60, 'breathingCtl', 'breathingProgress'));
-  if (stopB2) stopB2.addEventListener('click', stopBreathing);
-
   // water reminders UI
   const startRemBtn = document.getElementById('startRemBtn');
   const stopRemBtn = document.getElementById('stopRemBtn');
   if (startRemBtn) startRemBtn.addEventListener('click', startWaterReminders);
   if (stopRemBtn) stopRemBtn.addEventListener('click', stopWaterReminders);
+  initWaterReminders();
 
-  // try to register service worker (if you add service-worker.js)
+  // offline support + update prompt (service-worker.js)
   tryRegisterServiceWorker();
 
   // accessibility: role attributes
@@ -0,0 +1,83 @@
+/**
+ * service-worker.js — HealthSync+ offline support
+ *
+ *  - Precaches the app shell (HTML, script, styles, icons, reminder sound)
+ *  - Caches the pinned Chart.js CDN build so dashboard charts render offline
+ *  - Versioned cache: bump CACHE_VERSION on every release; old caches are
+ *    deleted when the new worker activates
+ *  - The new worker waits until the page asks it to take over ("update
+ *    available — reload" prompt in script.js)
+ */
+
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'healthsync-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// keep in sync with the <script> tag in index.html
+const CHART_JS_URL = 'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'script.js',
+  'articles.json',
+  'manifest.webmanifest',
+  'healthSync-logo.webp',
+  'healthSync-icon.svg',
+  'water-chime.wav'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache =>
+    cache.addAll(APP_SHELL).then(() =>
+      // the CDN may be unreachable at install time; charts then fall back to the in-page notice
+      cache.add(new Request(CHART_JS_URL, { mode: 'cors' })).catch(err => console.warn('Chart.js not cached', err))
+    )
+  ));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys().then(keys => Promise.all(
+    keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map(k => caches.delete(k))
+  )).then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/* network first for pages so updates show up, cached shell when offline */
+function handleNavigation(request) {
+  return fetch(request).then(response => {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(CACHE_NAME).then(cache => cache.put('index.html', copy));
+    }
+    return response;
+  }).catch(() => caches.match('index.html'));
+}
+
+/* cache first, refreshing the cached copy in the background */
+function staleWhileRevalidate(request) {
+  return caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+    const network = fetch(request).then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    }).catch(() => cached);
+    return cached || network;
+  }));
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  // sync requests opt out of caching (cache: 'no-store') and must always hit the server
+  if (request.method !== 'GET' || request.cache === 'no-store') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin || request.url === CHART_JS_URL) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+  // everything else (maps embed, a cross-origin sync server) goes straight to the network
+});
@@ -0,0 +1,163 @@
+/**
+ * sync-server.js — reference sync backend for HealthSync+
+ *
+ * A small, dependency-free Node server for trying sync locally or self-hosting
+ * it for one person's devices. Records are kept in a single JSON file.
+ *
+ *   node sync-server.js
+ *
+ * Environment:
+ *   PORT         port to listen on (default 8787)
+ *   SYNC_DATA    path of the JSON data file (default sync-data.json next to this file)
+ *   SYNC_TOKEN   when set, requests must send "Authorization: Bearer <token>"
+ *   SYNC_ORIGIN  allowed CORS origin (default *)
+ *
+ * Protocol:
+ *   GET  /changes?since=<cursor>[&limit=n]  -> { cursor, more, changes: [change] }
+ *   POST /changes { deviceId, changes: [change] } -> { cursor, rejected: [change] }
+ *   change = { store, id, updatedAt (ISO), deleted, value, deviceId }
+ *
+ * The newest updatedAt wins (ties go to the larger deviceId). A pushed change that
+ * is older than the stored one is not saved; the stored one comes back in `rejected`.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA || path.join(__dirname, 'sync-data.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const ORIGIN = process.env.SYNC_ORIGIN || '*';
+const MAX_BODY = 5 * 1024 * 1024;
+const PAGE_LIMIT = 500;
+
+/* { seq, records: { "<store>/<id>": change + seq } } */
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('Could not read', DATA_FILE, '- starting empty:', e.message);
+    return { seq: 0, records: {} };
+  }
+}
+
+// write to a temporary file first so a crash never leaves half a data file
+function save(db) {
+  const tmp = DATA_FILE + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(db));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+const db = load();
+
+function newer(a, b) {
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt;
+  return String(a.deviceId || '') > String(b.deviceId || '');
+}
+
+// updatedAt must be a full ISO-8601 UTC timestamp: newer() compares them as strings
+function isIsoTime(v) {
+  if (typeof v !== 'string') return false;
+  const d = new Date(v);
+  return !isNaN(d) && d.toISOString() === v;
+}
+
+function validChange(c) {
+  return !!c && typeof c === 'object' && typeof c.store === 'string' && typeof c.id === 'string' && isIsoTime(c.updatedAt);
+}
+
+function changesSince(since, limit) {
+  const all = Object.values(db.records).filter(r => r.seq > since).sort((a, b) => a.seq - b.seq);
+  const page = all.slice(0, limit);
+  return {
+    cursor: page.length ? page[page.length - 1].seq : Math.max(since, 0),
+    more: all.length > page.length,
+    changes: page
+  };
+}
+
+function pushChanges(deviceId, changes) {
+  const rejected = [];
+  changes.forEach(c => {
+    const key = c.store + '/' + c.id;
+    const incoming = {
+      store: c.store,
+      id: c.id,
+      updatedAt: c.updatedAt,
+      deleted: !!c.deleted,
+      value: c.deleted ? null : c.value,
+      deviceId: c.deviceId || deviceId
+    };
+    const current = db.records[key];
+    if (current && !newer(incoming, current)) {
+      rejected.push(current);
+      return;
+    }
+    db.seq++;
+    db.records[key] = Object.assign(incoming, { seq: db.seq });
+  });
+  save(db);
+  return { cursor: db.seq, rejected };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (e) {
+        reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', ORIGIN);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== '/changes') return send(res, 404, { error: 'Not found' });
+  if (TOKEN && req.headers.authorization !== 'Bearer ' + TOKEN) return send(res, 401, { error: 'Missing or wrong access token' });
+
+  if (req.method === 'GET') {
+    const since = Number(url.searchParams.get('since')) || 0;
+    const limit = Math.min(Number(url.searchParams.get('limit')) || PAGE_LIMIT, PAGE_LIMIT);
+    return send(res, 200, changesSince(since, limit));
+  }
+  if (req.method === 'POST') {
+    readBody(req).then(body => {
+      if (!body || typeof body !== 'object' || !Array.isArray(body.changes) || !body.changes.every(validChange)) {
+        return send(res, 400, { error: 'Expected { deviceId, changes: [{ store, id, updatedAt, ... }] }' });
+      }
+      send(res, 200, pushChanges(String(body.deviceId || ''), body.changes));
+    }).catch(err => send(res, err.status || 500, { error: err.message }));
+    return;
+  }
+  send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+  console.log(`HealthSync+ sync server on http://localhost:${PORT} (data: ${DATA_FILE}${TOKEN ? ', token required' : ''})`);
+});